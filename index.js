@@ -2,163 +2,726 @@
 const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
+const _ = require('lodash');
+const { Command, Option } = require('commander');
 const logger = require('./src/utils/logger');
 const banner = require('./src/utils/banner');
 const error = require('./src/utils/error');
+const shutdown = require('./src/utils/shutdown');
+const constants = require('./src/utils/constants');
 const config = require('./src/core/config');
 const proxyManager = require('./src/core/proxy');
+const state = require('./src/core/state');
+const checkpoints = require('./src/core/checkpoint');
+const Scheduler = require('./src/core/scheduler');
+const NetworkRegistry = require('./src/core/networks');
+const GasBudget = require('./src/core/budget');
+const keystore = require('./src/core/keystore');
+const hdwallet = require('./src/core/hdwallet');
+const {
+  parsePrivateKeys,
+  dedupeWallets,
+  loadWalletOverrides,
+  resolveWalletOverrides,
+  formatTable,
+  formatAddressTable,
+  parseWalletSelection
+} = require('./src/core/wallets');
+
+// File locations, overridable with --config, --keys and --state
+const paths = {
+  config: 'config.json',
+  keys: 'data/pk.txt',
+  state: constants.SCHEDULE.STATE_FILE,
+  wallets: constants.WALLET_OVERRIDES.FILE
+};
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason) => {
   console.error(chalk.red('Unhandled Rejection:'), reason);
 });
 
-// Load private keys
-async function loadPrivateKeys() {
+// First Ctrl-C or SIGTERM stops after the current transaction, the second one exits immediately
+shutdown.install();
+
+// Read and validate plaintext private keys from pk.txt
+async function readPrivateKeyFile() {
+  const pkFile = await fs.readFile(paths.keys, 'utf8');
+  const { entries, errors } = parsePrivateKeys(pkFile);
+  
+  // Report bad lines by number without echoing the key
+  errors.forEach(({ line, message }) => {
+    logger.error(`${paths.keys} line ${line}: ${message}, skipped`);
+  });
+  
+  return { entries, errors };
+}
+
+// Keystore settings from config
+function getKeystoreOptions() {
+  return {
+    dir: config.get('keystore.dir') || 'data/keystores',
+    passwordFile: config.get('keystore.password_file') || null
+  };
+}
+
+// Reject duplicate addresses, attach labels and overrides and print the wallets that will be processed
+async function finalizeWallets(entries) {
+  const { unique, duplicates } = dedupeWallets(entries);
+  
+  duplicates.forEach(({ entry, firstSource }) => {
+    logger.error(`Duplicate wallet ${entry.address} from ${entry.source} (already loaded from ${firstSource}), skipped`);
+  });
+  
+  if (unique.length === 0) {
+    throw new Error('No valid wallets found');
+  }
+  
+  // Optional labels and config overrides
+  const overrides = await loadWalletOverrides(paths.wallets);
+  const wallets = unique.map((entry, i) => {
+    const { label, config: overrideConfig } = resolveWalletOverrides(overrides, entry, i + 1);
+    return { ...entry, label, overrides: overrideConfig };
+  });
+  
+  logger.info('Wallets to process:');
+  formatAddressTable(wallets).forEach(line => logger.info(`  ${line}`));
+  
+  return wallets;
+}
+
+// Load wallets from a mnemonic or encrypted keystores, falling back to pk.txt
+async function loadWallets() {
   try {
     // Ensure data directory exists
-    await fs.mkdir('data', { recursive: true });
+    await fs.mkdir(path.dirname(paths.keys), { recursive: true });
+    
+    const { dir, passwordFile } = getKeystoreOptions();
+    
+    // Derive wallets from a mnemonic when configured
+    if (hdwallet.isEnabled(config)) {
+      const entries = await hdwallet.deriveWallets(config, passwordFile);
+      
+      logger.success(`Derived ${entries.length} wallets from mnemonic (indexes ${entries[0].derivationIndex}-${entries[entries.length - 1].derivationIndex})`);
+      return await finalizeWallets(entries.map(entry => ({ ...entry, source: entry.path })));
+    }
+    
+    // Prefer encrypted keystores
+    const keystoreFiles = await keystore.listKeystores(dir);
+    
+    if (keystoreFiles.length > 0) {
+      const password = await keystore.getPassword({ passwordFile });
+      const wallets = await keystore.loadKeystores(password, dir);
+      
+      logger.success(`Loaded ${wallets.length} wallets from encrypted keystores in ${dir}`);
+      return await finalizeWallets(wallets.map((wallet, i) => ({
+        wallet,
+        address: wallet.address,
+        derivationIndex: null,
+        path: null,
+        source: path.basename(keystoreFiles[i])
+      })));
+    }
     
     // Try to read pk.txt
     try {
-      const pkFile = await fs.readFile('data/pk.txt', 'utf8');
-      const privateKeys = pkFile.split('\n')
-        .map(line => line.trim())
-        .filter(line => line);
+      const { entries } = await readPrivateKeyFile();
       
-      logger.success(`Loaded ${privateKeys.length} private keys`);
-      return privateKeys;
+      logger.success(`Loaded ${entries.length} private keys`);
+      logger.warn('Private keys are stored in plaintext, run "npm run import" to move them into encrypted keystores');
+      return await finalizeWallets(entries.map(entry => ({
+        wallet: entry.privateKey,
+        address: entry.address,
+        derivationIndex: null,
+        path: null,
+        source: `${path.basename(paths.keys)} line ${entry.line}`
+      })));
     } catch (err) {
       // Create empty file if not exists
       if (err.code === 'ENOENT') {
-        logger.error('data/pk.txt not found, creating empty file');
-        await fs.writeFile('data/pk.txt', '', 'utf8');
-        logger.error('Please add private keys to data/pk.txt, one per line');
+        logger.error(`${paths.keys} not found, creating empty file`);
+        await fs.writeFile(paths.keys, '', 'utf8');
+        logger.error(`Please add private keys to ${paths.keys}, one per line, or keystores to ${dir}`);
         process.exit(1);
       } else {
         throw err;
       }
     }
   } catch (error) {
-    logger.error(`Error loading private keys: ${error.message}`);
-    throw new Error('Unable to load private keys. Make sure data/pk.txt exists.');
+    logger.error(`Error loading wallets: ${error.message}`);
+    throw new Error(`Unable to load wallets. Make sure a mnemonic, keystores or ${paths.keys} are configured.`);
   }
 }
 
-// Process wallet operations
-async function processWallet(privateKey, configObj, walletNum) {
-  return error.withRetry(async () => {
-    const walletLogger = logger.getInstance(walletNum);
-    
-    // Set wallet number in proxy manager
-    proxyManager.setWalletNum(walletNum);
-    
+// Convert pk.txt into encrypted keystores and remove the plaintext file
+async function importKeystores() {
+  banner.showBanner();
+  await config.load(paths.config);
+  
+  const { dir, passwordFile } = getKeystoreOptions();
+  
+  let parsed;
+  try {
+    parsed = await readPrivateKeyFile();
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`${paths.keys} not found, nothing to import`);
+    }
+    throw err;
+  }
+  
+  // Deleting pk.txt would lose lines that could not be imported
+  if (parsed.errors.length > 0) {
+    throw new Error(`${paths.keys} has ${parsed.errors.length} invalid line(s), fix or remove them before importing`);
+  }
+  
+  const privateKeys = parsed.entries.map(entry => entry.privateKey);
+  if (privateKeys.length === 0) {
+    throw new Error(`${paths.keys} is empty, nothing to import`);
+  }
+  
+  const password = await keystore.getPassword({ passwordFile, confirm: true });
+  
+  logger.info(`Encrypting ${privateKeys.length} private keys into ${dir}...`);
+  const { created, skipped } = await keystore.importPrivateKeys(privateKeys, password, dir);
+  
+  created.forEach(address => logger.success(`Created keystore for ${address}`));
+  skipped.forEach(address => logger.warn(`Keystore for ${address} already exists, skipped`));
+  
+  // Only remove the plaintext keys once every one of them decrypts from a keystore
+  const wallets = await keystore.loadKeystores(password, dir);
+  const addresses = new Set(wallets.map(wallet => wallet.address));
+  const missing = parsed.entries
+    .map(entry => entry.address)
+    .filter(address => !addresses.has(address));
+  
+  if (missing.length > 0) {
+    throw new Error(`Keystores missing for ${missing.join(', ')}, ${paths.keys} was kept`);
+  }
+  
+  await fs.unlink(paths.keys);
+  logger.success(`Imported ${created.length} wallets, ${paths.keys} deleted`);
+}
+
+// Process wallet operations, returns { success, interrupted, fees }
+async function processWallet(wallet, configObj, walletNum, operations = null, cycleBudget = null) {
+  const result = await error.withRetry(async () => {
     // Dynamically import to avoid circular dependencies
     const Registry = require('./src/operations/registry');
-    const registry = new Registry(privateKey, configObj, walletNum);
+    const registry = new Registry(wallet, configObj, walletNum, cycleBudget);
     
-    return await registry.executeAll();
+    const success = await registry.executeAll(operations);
+    return {
+      success,
+      interrupted: registry.interrupted,
+      fees: registry.blockchain.budget.getSummary().wallet
+    };
   }, {
     logger,
     walletNum,
     operationName: 'wallet operations',
     maxRetries: 0
   });
+  
+  return result || { success: false, interrupted: shutdown.isRequested(), fees: null };
+}
+
+// Show the label and derivation index next to the wallet number on every line
+function setWalletContext(entry, walletNum) {
+  logger.setWalletLabel(walletNum, entry.label);
+  logger.setWalletTag(walletNum, entry.derivationIndex !== null ? `(index ${entry.derivationIndex})` : null);
+  logger.setWalletNum(walletNum);
+  return logger.getInstance(walletNum);
+}
+
+// Wallet specific overrides are deep-merged over the global config
+function getWalletConfig(entry) {
+  return entry.overrides ? config.withOverrides(entry.overrides) : config;
+}
+
+// Run one wallet from the list
+async function runWallet(entry, walletNum, total, operations = null, cycleBudget = null) {
+  const walletLogger = setWalletContext(entry, walletNum);
+  
+  console.log(''); // Add newline for readability
+  walletLogger.header(`Processing Wallet ${walletNum}/${total}: ${entry.address}`);
+  if (entry.path) {
+    walletLogger.info(`Derivation path: ${entry.path}`);
+  }
+  
+  let walletConfig = getWalletConfig(entry);
+  if (entry.overrides) {
+    walletLogger.info(`Applying config overrides from ${paths.wallets}`);
+  }
+  
+  // Operations requested on the command line run even when disabled in config
+  if (operations) {
+    const enabled = {};
+    operations.forEach(name => { enabled[name] = { enabled: true }; });
+    walletConfig = walletConfig.withOverrides({ operations: enabled });
+  }
+  
+  return await processWallet(entry.wallet, walletConfig, walletNum, operations, cycleBudget);
+}
+
+// Process wallets with a pool of general.concurrency workers, returns the result of every wallet
+async function processAllWallets(wallets, options = {}) {
+  const walletNums = options.walletNums || wallets.map((entry, i) => i + 1);
+  const concurrency = Math.max(1, Math.floor(config.getNumber('general.concurrency', 1)) || 1);
+  const workerCount = Math.min(concurrency, walletNums.length);
+  const { cycleBudget } = options;
+  const results = new Map();
+  let next = 0;
+  let budgetExhausted = false;
+  
+  if (workerCount > 1) {
+    logger.info(`Processing wallets with ${workerCount} workers`);
+  }
+  
+  const worker = async () => {
+    while (next < walletNums.length) {
+      if (shutdown.isRequested()) return;
+      
+      if (cycleBudget.getExhausted(['cycle'])) {
+        if (!budgetExhausted) {
+          budgetExhausted = true;
+          logger.warn(`Gas budget for cycle exhausted, skipping remaining ${walletNums.length - next} wallet(s)`);
+        }
+        return;
+      }
+      
+      const walletNum = walletNums[next++];
+      
+      // Wallets that finished earlier in a resumed cycle are skipped without waiting
+      if (checkpoints.isWalletDone(wallets[walletNum - 1].address)) {
+        results.set(walletNum, { skipped: true, resumed: true });
+        continue;
+      }
+      
+      // Each wallet gets its own logging context, so concurrent wallets never share a wallet number
+      await logger.runWithWallet(walletNum, async () => {
+        results.set(walletNum, await runWallet(wallets[walletNum - 1], walletNum, wallets.length, options.operations, cycleBudget));
+        
+        // Wait before this worker picks up another wallet
+        if (next < walletNums.length) {
+          await waitBetweenWallets(logger.getInstance(walletNum));
+        }
+      });
+    }
+  };
+  
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  
+  // Wallets never started, because of a shutdown or the cycle budget, have no result
+  return walletNums.map(walletNum => ({ walletNum, ...(results.get(walletNum) || { skipped: true }) }));
+}
+
+// Log the outcome and fees of every wallet in the cycle
+function logWalletSummary(wallets, results) {
+  const rows = results.map(result => {
+    const entry = wallets[result.walletNum - 1];
+    let status = 'completed';
+    if (result.resumed) status = 'done earlier';
+    else if (result.skipped) status = 'not started';
+    else if (result.interrupted) status = 'interrupted';
+    else if (!result.success) status = 'failed';
+    
+    return [
+      String(result.walletNum),
+      entry.address,
+      entry.label || '-',
+      status,
+      result.fees !== undefined && result.fees !== null ? result.fees : '-'
+    ];
+  });
+  
+  logger.info('Wallet summary:');
+  formatTable(['#', 'Address', 'Label', 'Status', 'Fees (ETH)'], rows).forEach(line => logger.info(`  ${line}`));
 }
 
 // Wait between wallets
 async function waitBetweenWallets(walletLogger) {
   const waitTime = Math.floor(Math.random() * 11) + 5; // 5-15 seconds
   walletLogger.warn(`Waiting ${waitTime} seconds before next wallet...`);
-  await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+  await shutdown.sleep(waitTime * 1000);
 }
 
-// Countdown timer
-async function countdownTimer(hours = 8) {
-  const totalSeconds = hours * 3600;
-  let remainingSeconds = totalSeconds;
-  
+// Countdown timer until the next run, redrawn in place on a terminal and logged periodically otherwise
+async function countdownTimer(nextRun) {
   logger.setWalletNum(null);
   const countdownLogger = logger.getInstance();
+  
+  // systemd and docker logs have no cursor control
+  const interactive = process.stdout.isTTY && typeof process.stdout.clearLine === 'function';
 
-  while (remainingSeconds > 0) {
+  while (!shutdown.isRequested()) {
+    const remainingSeconds = Math.ceil((nextRun.getTime() - Date.now()) / 1000);
+    if (remainingSeconds <= 0) break;
+    
     const hours = Math.floor(remainingSeconds / 3600);
     const minutes = Math.floor((remainingSeconds % 3600) / 60);
     const seconds = remainingSeconds % 60;
+    const remaining = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
 
+    if (interactive) {
+      process.stdout.clearLine(0);
+      process.stdout.cursorTo(0);
+      process.stdout.write(
+        chalk.blue(`${countdownLogger.getTimestamp()} Next cycle in: `) + 
+        chalk.yellow(remaining)
+      );
+      await shutdown.sleep(1000);
+    } else {
+      countdownLogger.info(`Next cycle in: ${remaining}`);
+      const waitSeconds = Math.min(remainingSeconds, constants.SCHEDULE.LOG_INTERVAL_SECONDS);
+      await shutdown.sleep(waitSeconds * 1000);
+    }
+  }
+
+  if (interactive) {
     process.stdout.clearLine(0);
     process.stdout.cursorTo(0);
-    process.stdout.write(
-      chalk.blue(`${countdownLogger.getTimestamp()} Next cycle in: `) + 
-      chalk.yellow(`${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`)
-    );
-
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    remainingSeconds--;
   }
+  if (!shutdown.isRequested()) {
+    countdownLogger.success(`Countdown completed!`);
+  }
+}
 
-  process.stdout.clearLine(0);
-  process.stdout.cursorTo(0);
-  countdownLogger.success(`Countdown completed!`);
+// Load configuration, proxies and wallets.
+// Commands that send transactions pass writeMigration, so an older config file is rewritten only when running
+async function setup(options = {}) {
+  logger.setWalletNum(null);
+  if (options.banner !== false) banner.showBanner();
+  
+  // Load configuration
+  await config.load(paths.config, { writeMigration: options.writeMigration });
+  
+  // Initialize proxy manager with config
+  await proxyManager.initialize(config);
+  
+  // Load private keys
+  const wallets = await loadWallets();
+  
+  // Set log level from config
+  if (config.get('general.log_level')) {
+    logger.setLogLevel(config.get('general.log_level'));
+  }
+  
+  logger.success(`Found ${wallets.length} wallets`);
+  return wallets;
 }
 
-// Main function
-async function main() {
-  while (true) {
-    logger.setWalletNum(null);
-    banner.showBanner();
+// Run one cycle over all or the selected wallets, returns true when every wallet completed successfully
+async function runCycle(wallets, options = {}) {
+  const walletNums = options.wallets ? parseWalletSelection(options.wallets, wallets.length) : null;
+  const count = walletNums ? walletNums.length : wallets.length;
+  
+  logger.info(`Initializing automation...`);
+  
+  // Cycles record checkpoints so a restart continues an unfinished one
+  if (options.checkpoints) {
+    const cycle = await checkpoints.startCycle({ fresh: options.fresh });
+    if (cycle.resumed) {
+      logger.info(`Resuming cycle started ${cycle.id}, ${cycle.operations} operation(s) already finished (use --fresh to start over)`);
+    }
+  }
+  
+  logger.header(`Processing ${count} wallets...`);
+  
+  // Fees of every wallet count towards one budget per cycle
+  const cycleBudget = new GasBudget(config);
+  
+  const results = await processAllWallets(wallets, { walletNums, operations: options.operations, cycleBudget });
+  
+  // Reset to global logger for completion message
+  logger.setWalletNum(null);
+  console.log('');
+  logWalletSummary(wallets, results);
+  
+  const failed = results.filter(result => !result.skipped && !result.success).map(result => result.walletNum);
+  if (failed.length > 0) {
+    logger.warn(`Operations failed for wallet(s) ${failed.join(', ')}`);
+  }
+  
+  // A cycle that was not interrupted is finished, even if some wallets failed
+  if (options.checkpoints && !shutdown.isRequested()) {
+    await checkpoints.completeCycle();
+  }
+  
+  return failed.length === 0 && !shutdown.isRequested();
+}
 
-    try {
-      // Load configuration
-      await config.load();
-      
-      // Initialize proxy manager with config
-      await proxyManager.initialize(config);
-      
-      // Load private keys
-      const privateKeys = await loadPrivateKeys();
-      
-      // Set log level from config
-      if (config.get('general.log_level')) {
-        logger.setLogLevel(config.get('general.log_level'));
+// Run cycles forever, waiting for the configured schedule in between
+async function runLoop(options = {}) {
+  await state.load(paths.state);
+  
+  // Load config and wallets before any wait, so problems show up right away,
+  // and build the schedule from them so a broken one fails before a transaction is sent
+  let wallets = await setup({ writeMigration: true });
+  let scheduler = new Scheduler(config);
+  let loaded = true;
+  let restarted = true;
+  
+  while (!shutdown.isRequested()) {
+    // A next run time saved before a restart is honoured instead of starting right away
+    const plannedRun = state.get('schedule.next_run');
+    if (plannedRun && Date.parse(plannedRun) > Date.now()) {
+      if (restarted) {
+        logger.info(`Resuming schedule from ${paths.state}, next cycle at ${new Date(plannedRun).toLocaleString('en-GB', { hourCycle: 'h23' })}`);
       }
-      
-      logger.success(`Found ${privateKeys.length} private keys`);
-      logger.info(`Initializing automation...`);
-      logger.header(`Processing ${privateKeys.length} wallets...`);
-
-      // Process each wallet
-      for (let i = 0; i < privateKeys.length; i++) {
-        const walletNum = i + 1;
-        const pk = privateKeys[i];
-        
-        logger.setWalletNum(walletNum);
-        const walletLogger = logger.getInstance(walletNum);
-        
-        console.log(''); // Add newline for readability
-        walletLogger.header(`Processing Wallet ${walletNum}/${privateKeys.length}`);
-        
-        await processWallet(pk, config, walletNum);
+      await countdownTimer(new Date(plannedRun));
+      if (shutdown.isRequested()) break;
+      loaded = false;
+    }
+    
+    // Reload for every later cycle so changes made in between apply
+    if (!loaded) {
+      wallets = await setup({ banner: false, writeMigration: true });
+      scheduler = new Scheduler(config);
+    }
+    loaded = false;
+    
+    // --fresh only discards the checkpoint of the cycle interrupted before this start
+    await runCycle(wallets, { checkpoints: true, fresh: restarted && options.fresh });
+    restarted = false;
+    
+    // An interrupted cycle is not finished, so a restart starts the next one right away
+    if (shutdown.isRequested()) {
+      state.unset('schedule.next_run');
+      await state.save();
+      break;
+    }
+    
+    const nextRun = scheduler.getNextRun(new Date());
+    state.set('schedule.last_run', new Date().toISOString());
+    state.set('schedule.next_run', nextRun.toISOString());
+    await state.save();
+    
+    logger.header(`Wallet processing completed! Next cycle at ${scheduler.formatTime(nextRun)} (${scheduler.describe()})`);
+  }
+  
+  logger.success('Shutdown complete');
+  return true;
+}
 
-        // Wait between wallets if not the last one
-        if (i < privateKeys.length - 1) {
-          await waitBetweenWallets(walletLogger);
-        }
-      }
+// Run a single cycle, resuming an interrupted one
+async function runOnce(options = {}) {
+  await state.load(paths.state);
+  const wallets = await setup({ writeMigration: true });
+  
+  // A run over selected wallets is not a full cycle, so it neither resumes nor records one
+  return runCycle(wallets, { ...options, checkpoints: !options.wallets });
+}
 
-      // Reset to global logger for completion message
-      logger.setWalletNum(null);
-      logger.header('Wallet processing completed! Starting 8-hour countdown...');
+// Run a single operation for all or the selected wallets
+async function runOperation(name, options = {}) {
+  const Registry = require('./src/operations/registry');
+  const names = Registry.getOperationNames();
+  
+  if (!names.includes(name)) {
+    throw new Error(`Unknown operation "${name}". Available operations: ${names.join(', ')}`);
+  }
+  
+  return runCycle(await setup({ writeMigration: true }), { wallets: options.wallets, operations: [name] });
+}
 
-      // Start the countdown timer
-      await countdownTimer(8);
+// Report balances, nonces and deployed tokens of all or the selected wallets
+async function showBalances(options = {}) {
+  const BalanceReport = require('./src/core/report');
+  
+  // CSV and JSON on stdout are meant for piping, so logs move to stderr
+  const toStdout = options.format !== 'table' && !options.output;
+  if (toStdout) logger.useStderr();
+  
+  const wallets = await setup({ banner: !toStdout });
+  const walletNums = options.wallets ?
+    parseWalletSelection(options.wallets, wallets.length) :
+    wallets.map((entry, i) => i + 1);
+  
+  const networks = [...new Set([
+    config.getString('operations.bridge.l1_network'),
+    config.getString('operations.bridge.l2_network')
+  ])];
+  
+  logger.info(`Reading ${walletNums.length} wallet(s) on ${networks.join(', ')}...`);
+  const startedAt = Date.now();
+  
+  const report = await new BalanceReport(config, networks).collect(walletNums.map(walletNum => {
+    const entry = wallets[walletNum - 1];
+    return { walletNum, address: entry.address, derivationIndex: entry.derivationIndex, label: entry.label };
+  }));
+  
+  logger.info(`Read ${walletNums.length} wallet(s) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  
+  const errors = BalanceReport.getErrors(report);
+  errors.forEach(({ wallet, source, error }) => logger.error(`Wallet ${wallet} ${source}: ${error}`));
+  
+  let output;
+  if (options.format === 'json') output = BalanceReport.toJson(report);
+  else if (options.format === 'csv') output = BalanceReport.toCsv(report);
+  else output = BalanceReport.toTable(report).join('\n') + '\n';
+  
+  if (options.output) {
+    await fs.mkdir(path.dirname(options.output), { recursive: true });
+    await fs.writeFile(options.output, output, 'utf8');
+    logger.success(`Report written to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+  
+  return errors.length === 0;
+}
 
-    } catch (error) {
-      console.error(`\nError: ${error.message}`);
-      process.exit(1);
+// Check that the config file parses and that everything it references resolves
+async function validateConfig() {
+  const problems = [];
+  
+  // Unparsable files and schema violations are reported by load
+  await config.load(paths.config);
+  
+  // Every defined network and every network an operation points at must resolve
+  const registry = new NetworkRegistry(config);
+  const operationNetworks = Object.values(config.get('operations', {}))
+    .map(operation => operation && operation.network)
+    .filter(Boolean);
+  const networks = new Set([
+    ...registry.names(),
+    registry.getDefaultName(),
+    config.getString('operations.bridge.l1_network'),
+    config.getString('operations.bridge.l2_network'),
+    ...operationNetworks
+  ]);
+  
+  for (const name of networks) {
+    try {
+      registry.get(name);
+    } catch (err) {
+      problems.push(err.message);
     }
   }
+  
+  try {
+    new Scheduler(config).getNextRun(new Date());
+  } catch (err) {
+    problems.push(err.message);
+  }
+  
+  try {
+    await loadWalletOverrides(paths.wallets);
+  } catch (err) {
+    problems.push(err.message, ...(err.problems || []).map(problem => `  ${problem}`));
+  }
+  
+  problems.forEach(problem => logger.error(problem));
+  if (problems.length === 0) {
+    logger.success(`${paths.config} is valid`);
+  }
+  
+  return problems.length === 0;
+}
+
+// Print the config file, or with --effective the file merged over the defaults
+async function printConfig(options = {}) {
+  // Output is JSON for piping, so logs move to stderr
+  logger.useStderr();
+  await config.load(paths.config);
+  
+  const printed = _.cloneDeep(options.effective ? config.config : config.fileConfig);
+  
+  // Never echo the mnemonic itself
+  if (_.get(printed, 'mnemonic.phrase')) {
+    _.set(printed, 'mnemonic.phrase', '<hidden>');
+  }
+  
+  process.stdout.write(JSON.stringify(printed, null, 2) + '\n');
+  return true;
+}
+
+// Wrap a command so its result becomes the exit code: 0 on success, 1 on failure.
+// Log files are flushed before exiting.
+function command(fn) {
+  return async (...args) => {
+    let exitCode = 0;
+    
+    try {
+      const success = await fn(...args);
+      exitCode = success === false ? 1 : 0;
+    } catch (err) {
+      logger.setWalletNum(null);
+      logger.error(`Error: ${err.message}`);
+      (err.problems || []).forEach(problem => logger.error(`  ${problem}`));
+      exitCode = 1;
+    }
+    
+    await logger.close();
+    process.exit(exitCode);
+  };
 }
 
-// Start the application
-main().catch(console.error);
\ No newline at end of file
+// Command line interface
+const program = new Command();
+
+program
+  .name('ch41nb4se')
+  .description('Automation tool for Ch41nb4se Testnet')
+  .option('--config <path>', 'configuration file', paths.config)
+  .option('--keys <path>', 'plaintext private key file', paths.keys)
+  .option('--state <path>', 'state file with the next planned run and cycle checkpoints', paths.state)
+  .option('--set <path=value>', 'override a config value for this run, e.g. general.log_level=debug (repeatable)',
+    (assignment, previous) => previous.concat([assignment]), [])
+  .hook('preAction', (thisCommand) => {
+    const options = thisCommand.opts();
+    paths.config = options.config;
+    paths.keys = options.keys;
+    paths.state = options.state;
+    config.setCliOverrides(options.set);
+  });
+
+program
+  .command('run', { isDefault: true })
+  .description('run every enabled operation for all wallets, repeating on the configured schedule')
+  .option('--fresh', 'start a new cycle instead of resuming an interrupted one')
+  .action(command(options => runLoop(options)));
+
+program
+  .command('once')
+  .description('run a single cycle and exit')
+  .option('--wallets <list>', 'wallet numbers to process, e.g. 1,3-5')
+  .option('--fresh', 'start a new cycle instead of resuming an interrupted one')
+  .action(command(options => runOnce(options)));
+
+program
+  .command('op <name>')
+  .description('run one operation, even if disabled in config, and exit')
+  .option('--wallets <list>', 'wallet numbers to process, e.g. 1,3-5')
+  .action(command((name, options) => runOperation(name, options)));
+
+program
+  .command('balances')
+  .description('report balances, nonces and deployed token balances of every wallet on the bridge networks')
+  .option('--wallets <list>', 'wallet numbers to show, e.g. 1,3-5')
+  .addOption(new Option('--format <format>', 'output format').choices(['table', 'csv', 'json']).default('table'))
+  .option('--output <file>', 'write the report to a file instead of stdout')
+  .action(command(options => showBalances(options)));
+
+program
+  .command('validate-config')
+  .description('check the configuration file and exit')
+  .action(command(validateConfig));
+
+const configCommand = program
+  .command('config')
+  .description('inspect the configuration');
+
+configCommand
+  .command('print')
+  .description('print the configuration file as JSON')
+  .option('--effective', 'print the configuration in effect, with defaults filled in for missing keys')
+  .action(command(options => printConfig(options)));
+
+program
+  .command('import')
+  .description('encrypt the plaintext private keys into keystores')
+  .action(command(importKeystores));
+
+program.parseAsync(process.argv);
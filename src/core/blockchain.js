@@ -3,63 +3,130 @@ const { ethers } = require('ethers');
 const constants = require('../utils/constants');
 const logger = require('../utils/logger');
 const proxyManager = require('./proxy');
+const NonceManager = require('./nonce');
+const { FailoverProvider } = require('./rpc');
+const NetworkRegistry = require('./networks');
+const revert = require('./revert');
+const GasBudget = require('./budget');
+const shutdown = require('../utils/shutdown');
 
 class Blockchain {
-  constructor(privateKey, config = {}, walletNum = null) {
+  constructor(privateKeyOrWallet, config = {}, walletNum = null, cycleBudget = null) {
     // Store configuration
     this.config = config;
     this.walletNum = walletNum;
     this.logger = walletNum !== null ? logger.getInstance(walletNum) : logger.getInstance();
     
-    // Initialize providers
-    this.rpcUrl = constants.NETWORK.RPC_URL;
-    this.provider = this.createProvider(this.rpcUrl);
-    this.sepoliaProvider = this.createProvider(constants.SEPOLIA.RPC_URL);
+    // Resolve networks by name, defaulting to general.network
+    this.networks = new NetworkRegistry(config);
+    this.network = this.networks.getDefaultName();
     
-    // Setup wallet
-    if (privateKey) {
-      if (!privateKey.startsWith('0x')) {
-        privateKey = '0x' + privateKey;
-      }
-      this.wallet = new ethers.Wallet(privateKey, this.provider);
-      this.sepoliaWallet = new ethers.Wallet(privateKey, this.sepoliaProvider);
-      this.address = this.wallet.address;
-      this.privateKey = privateKey;
+    // Providers and wallets are created per network on first use
+    this.providers = new Map();
+    this.readProviders = new Map();
+    this.wallets = new Map();
+    
+    // Fees paid by this wallet, checked against the configured budgets and added to the cycle's
+    this.budget = new GasBudget(config, cycleBudget);
+    
+    // Setup wallet from a hex private key or an already decrypted wallet,
+    // keeping only the signing key rather than the raw key string
+    if (privateKeyOrWallet && typeof privateKeyOrWallet === 'object') {
+      this.signingKey = privateKeyOrWallet.signingKey;
+    } else if (privateKeyOrWallet) {
+      const privateKey = privateKeyOrWallet.startsWith('0x') ? privateKeyOrWallet : '0x' + privateKeyOrWallet;
+      this.signingKey = new ethers.SigningKey(privateKey);
+    }
+    
+    if (this.signingKey) {
+      this.address = ethers.computeAddress(this.signingKey.publicKey);
     }
     
-    // Track nonce values
-    this.currentNonce = null;
-    this.sepoliaNonce = null;
+    // Proxy of this wallet, kept per instance so concurrent wallets rotate independently
+    this.proxy = null;
+    this.agent = null;
+    if (this.selectProxy()) {
+      this.logger.info(`Using proxy for blockchain connections: ${this.proxy}`);
+    }
+  }
+  
+  // Provider and wallet for the default network
+  get provider() {
+    return this.getProvider();
+  }
+  
+  get wallet() {
+    return this.getWallet();
+  }
+  
+  getNetwork(network = this.network) {
+    return this.networks.get(network);
+  }
+  
+  getExplorerUrl(network = this.network) {
+    return this.getNetwork(network).explorerUrl;
+  }
+  
+  getProvider(network = this.network) {
+    if (!this.providers.has(network)) {
+      this.providers.set(network, this.createProvider(network));
+    }
+    return this.providers.get(network);
+  }
+  
+  getReadProvider(network = this.network) {
+    if (!this.readProviders.has(network)) {
+      this.readProviders.set(network, this.createReadProvider(network));
+    }
+    return this.readProviders.get(network);
+  }
+  
+  getWallet(network = this.network) {
+    if (!this.signingKey) return null;
     
-    // Log proxy status
-    if (proxyManager.isEnabled() && proxyManager.currentProxy) {
-      this.logger.info(`Using proxy for blockchain connections: ${proxyManager.currentProxy}`);
+    if (!this.wallets.has(network)) {
+      this.wallets.set(network, new ethers.Wallet(this.signingKey, this.getProvider(network)));
     }
+    return this.wallets.get(network);
   }
   
-  createProvider(rpcUrl) {
-    // Create JSON-RPC fetch function with proxy setup
-    let fetchFn = undefined;
-    const proxyHeaders = proxyManager.getHeaders();
+  createProvider(network = this.network, urls = this.getNetwork(network).rpcUrls, options = {}) {
+    const { chainId } = this.getNetwork(network);
+    const timeoutSeconds = this.config.get ? 
+      this.config.getNumber('rpc.timeout_seconds', constants.RPC.TIMEOUT_SECONDS) : 
+      constants.RPC.TIMEOUT_SECONDS;
     
-    if (Object.keys(proxyHeaders).length > 0) {
-      // Create a custom fetch function that adds proxy headers
-      fetchFn = async (url, json) => {
-        const response = await fetch(url, {
-          method: 'POST',
-          body: json,
-          headers: {
-            'Content-Type': 'application/json',
-            ...proxyHeaders
-          }
-        });
-        return response;
-      };
+    // Create provider that fails over between endpoints, sending requests through the proxy agent
+    return new FailoverProvider(urls, chainId, {
+      staticNetwork: true,
+      timeoutSeconds,
+      getAgent: () => this.agent,
+      onFailover: (failedUrl, nextUrl, error) => {
+        this.logger.warn(`RPC ${failedUrl} failed (${error.code || error.message}), failing over to ${nextUrl}`);
+      },
+      ...options
+    });
+  }
+  
+  createReadProvider(network = this.network) {
+    const { chainId, rpcUrls } = this.getNetwork(network);
+    const quorumEnabled = this.config.get ? this.config.getBoolean('rpc.quorum.enabled', false) : false;
+    
+    // Quorum reads need at least two endpoints to compare
+    if (!quorumEnabled || rpcUrls.length < 2) {
+      return this.getProvider(network);
     }
     
-    // Create provider with custom fetch function if available
-    const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { fetchFunc: fetchFn });
-    return provider;
+    const quorum = this.config.getNumber('rpc.quorum.size', Math.ceil(rpcUrls.length / 2));
+    
+    const providers = rpcUrls.map(url => ({
+      provider: this.createProvider(network, [url]),
+      priority: 1,
+      weight: 1,
+      stallTimeout: constants.RPC.STALL_TIMEOUT_MS
+    }));
+    
+    return new ethers.FallbackProvider(providers, chainId, { quorum });
   }
   
   setWalletNum(num) {
@@ -67,20 +134,20 @@ class Blockchain {
     this.logger = logger.getInstance(num);
   }
   
+  selectProxy() {
+    this.proxy = proxyManager.selectNextProxy();
+    this.agent = proxyManager.createAgent(this.proxy);
+    return this.proxy;
+  }
+  
   changeProxy() {
-    const newProxy = proxyManager.selectNextProxy();
+    const newProxy = this.selectProxy();
     
     if (newProxy) {
-      // Re-initialize providers
-      this.provider = this.createProvider(this.rpcUrl);
-      this.sepoliaProvider = this.createProvider(constants.SEPOLIA.RPC_URL);
-      
-      // Reinitialize wallets
-      if (this.privateKey) {
-        this.wallet = new ethers.Wallet(this.privateKey, this.provider);
-        this.sepoliaWallet = new ethers.Wallet(this.privateKey, this.sepoliaProvider);
-        this.address = this.wallet.address;
-      }
+      // Providers and wallets are re-created on next use
+      this.providers.clear();
+      this.readProviders.clear();
+      this.wallets.clear();
       
       this.logger.info(`Changed proxy to: ${newProxy}`);
     }
@@ -88,80 +155,158 @@ class Blockchain {
     return newProxy;
   }
   
-  async getNonce(network = 'chainbase') {
-    if (network === 'sepolia') {
-      if (this.sepoliaNonce === null) {
-        this.sepoliaNonce = await this.sepoliaProvider.getTransactionCount(this.address);
-        this.logger.info(`Initial Sepolia nonce from network: ${this.sepoliaNonce}`);
-      } else {
-        this.logger.info(`Using tracked Sepolia nonce: ${this.sepoliaNonce}`);
-      }
-      return this.sepoliaNonce;
-    } else {
-      if (this.currentNonce === null) {
-        this.currentNonce = await this.provider.getTransactionCount(this.address);
-        this.logger.info(`Initial Chainbase nonce from network: ${this.currentNonce}`);
-      } else {
-        this.logger.info(`Using tracked Chainbase nonce: ${this.currentNonce}`);
-      }
-      return this.currentNonce;
+  getNonceManager(network = this.network) {
+    return NonceManager.get(this.address, network, this.getReadProvider(network));
+  }
+  
+  async reserveNonce(network = this.network) {
+    const networkName = this.getNetwork(network).label;
+    const nonce = await this.getNonceManager(network).reserve();
+    this.logger.info(`Reserved ${networkName} nonce: ${nonce}`);
+    return nonce;
+  }
+  
+  releaseNonce(nonce, network = this.network) {
+    const networkName = this.getNetwork(network).label;
+    this.getNonceManager(network).release(nonce);
+    this.logger.info(`Released ${networkName} nonce: ${nonce}`);
+  }
+  
+  async resyncNonce(network = this.network) {
+    const networkName = this.getNetwork(network).label;
+    const nonce = await this.getNonceManager(network).resync();
+    this.logger.info(`Resynced ${networkName} nonce from pending count: ${nonce}`);
+    return nonce;
+  }
+  
+  assertBudget(pendingCost = 0n) {
+    const exhausted = this.budget.getExhausted(undefined, pendingCost);
+    if (!exhausted) return;
+    
+    const error = new Error(`Gas budget for ${exhausted.scope} exhausted (spent ${ethers.formatEther(exhausted.spent)} of ${ethers.formatEther(exhausted.limit)} ETH)`);
+    error.code = 'BUDGET_EXHAUSTED';
+    error.scope = exhausted.scope;
+    throw error;
+  }
+  
+  async getL1Fee(hash, network = this.network) {
+    if (!this.getNetwork(network).opStack) return 0n;
+    
+    // OP-stack receipts carry the L1 data fee as an extra field ethers does not parse
+    try {
+      const rawReceipt = await this.getProvider(network).send('eth_getTransactionReceipt', [hash]);
+      return rawReceipt && rawReceipt.l1Fee ? BigInt(rawReceipt.l1Fee) : 0n;
+    } catch (error) {
+      this.logger.warn(`Could not read L1 fee for ${hash}: ${error.message}`);
+      return 0n;
     }
   }
   
-  incrementNonce(network = 'chainbase') {
-    if (network === 'sepolia') {
-      if (this.sepoliaNonce !== null) {
-        this.sepoliaNonce++;
-        this.logger.info(`Incremented Sepolia nonce to: ${this.sepoliaNonce}`);
-      }
-    } else {
-      if (this.currentNonce !== null) {
-        this.currentNonce++;
-        this.logger.info(`Incremented Chainbase nonce to: ${this.currentNonce}`);
+  async recordFee(receipt, network = this.network) {
+    const effectiveGasPrice = receipt.gasPrice || 0n;
+    const l2Fee = receipt.gasUsed * effectiveGasPrice;
+    const l1Fee = await this.getL1Fee(receipt.hash, network);
+    const fee = l2Fee + l1Fee;
+    
+    this.budget.record(fee);
+    
+    const { currencySymbol: currency } = this.getNetwork(network);
+    const l1Info = l1Fee > 0n ? ` (L1 fee: ${ethers.formatEther(l1Fee)})` : '';
+    this.logger.info(`Fee paid: ${ethers.formatEther(fee)} ${currency}${l1Info}, wallet total: ${ethers.formatEther(this.budget.spent)} ${currency}`);
+    
+    return fee;
+  }
+  
+  async sendWithNonce(send, network = this.network) {
+    // Refuse new broadcasts once a budget is used up or a shutdown was requested
+    shutdown.assertRunning();
+    this.assertBudget();
+    
+    // Every broadcast goes through here so failed sends never leave a nonce gap
+    for (let attempt = 0; ; attempt++) {
+      const nonce = await this.reserveNonce(network);
+      
+      try {
+        return await send(nonce);
+      } catch (error) {
+        if (NonceManager.isNonceError(error)) {
+          await this.resyncNonce(network);
+          
+          if (attempt === 0) {
+            this.logger.warn(`Nonce ${nonce} already used, retrying with resynced nonce...`);
+            continue;
+          }
+        } else if (NonceManager.isRejectedError(error)) {
+          this.releaseNonce(nonce, network);
+        } else {
+          // The transaction may have been broadcast, so only the pending count can tell whether the nonce was used
+          try {
+            await this.resyncNonce(network);
+          } catch (resyncError) {
+            this.getNonceManager(network).reset();
+            this.logger.warn(`Could not resync nonce, resyncing on the next transaction: ${resyncError.message}`);
+          }
+        }
+        
+        throw error;
       }
     }
   }
   
-  async getGasPrice(retryCount = 0, network = 'chainbase') {
+  getGasMultiplier(retryCount = 0) {
+    let multiplier = (this.config.get && this.config.get('general.gas_price_multiplier')) || constants.GAS.PRICE_MULTIPLIER;
+
+    // Apply retry multiplier
+    if (retryCount > 0) {
+      const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
+      multiplier *= retryMultiplier;
+      this.logger.info(`Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`);
+    }
+
+    return multiplier;
+  }
+
+  clampGasPrice(value, label = 'Gas price') {
+    // Enforce min/max gas price
+    const minGasPrice = BigInt(ethers.parseUnits(constants.GAS.MIN_GWEI.toString(), 'gwei'));
+    const maxGasPrice = BigInt(ethers.parseUnits(constants.GAS.MAX_GWEI.toString(), 'gwei'));
+
+    if (value < minGasPrice) {
+      this.logger.warn(`${label} below minimum, using: ${constants.GAS.MIN_GWEI} gwei`);
+      return minGasPrice;
+    } else if (value > maxGasPrice) {
+      this.logger.warn(`${label} above maximum, using: ${constants.GAS.MAX_GWEI} gwei`);
+      return maxGasPrice;
+    }
+
+    return value;
+  }
+
+  getFeeMode() {
+    const mode = (this.config.get && this.config.get('general.fee_mode')) || constants.GAS.FEE_MODE;
+    return ['legacy', 'eip1559', 'auto'].includes(mode) ? mode : constants.GAS.FEE_MODE;
+  }
+
+  async getGasPrice(retryCount = 0, network = this.network) {
     try {
-      const provider = network === 'sepolia' ? this.sepoliaProvider : this.provider;
-      const networkName = network === 'sepolia' ? 'Sepolia' : 'Chainbase';
-      
+      const provider = this.getProvider(network);
+      const networkName = this.getNetwork(network).label;
+
       // Get current gas price
       const feeData = await provider.getFeeData();
       const networkGasPrice = feeData.gasPrice;
-      
+
       // Apply multiplier
-      let multiplier = (this.config.get && this.config.get('general.gas_price_multiplier')) || constants.GAS.PRICE_MULTIPLIER;
-      
-      // Apply retry multiplier
-      if (retryCount > 0) {
-        const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
-        multiplier *= retryMultiplier;
-        this.logger.info(`Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`);
-      }
-      
+      const multiplier = this.getGasMultiplier(retryCount);
+
       // Calculate adjusted gas price
       const adjustedGasPrice = BigInt(Math.floor(Number(networkGasPrice) * multiplier));
-      
+
       // Convert to gwei for display
       const gweiPrice = ethers.formatUnits(adjustedGasPrice, 'gwei');
       this.logger.info(`${networkName} gas price: ${ethers.formatUnits(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`);
-      
-      // Enforce min/max gas price
-      const minGasPrice = BigInt(ethers.parseUnits(constants.GAS.MIN_GWEI.toString(), 'gwei'));
-      const maxGasPrice = BigInt(ethers.parseUnits(constants.GAS.MAX_GWEI.toString(), 'gwei'));
-      
-      let finalGasPrice = adjustedGasPrice;
-      if (adjustedGasPrice < minGasPrice) {
-        finalGasPrice = minGasPrice;
-        this.logger.warn(`Gas price below minimum, using: ${constants.GAS.MIN_GWEI} gwei`);
-      } else if (adjustedGasPrice > maxGasPrice) {
-        finalGasPrice = maxGasPrice;
-        this.logger.warn(`Gas price above maximum, using: ${constants.GAS.MAX_GWEI} gwei`);
-      }
-      
-      return finalGasPrice;
+
+      return this.clampGasPrice(adjustedGasPrice);
     } catch (error) {
       this.logger.warn(`Error getting gas price: ${error.message}`);
       
@@ -181,21 +326,202 @@ class Blockchain {
       return fallbackGasPrice;
     }
   }
-  
-  async estimateGas(txObject, network = 'chainbase') {
+
+  async getEip1559Fees(network = this.network) {
+    const provider = this.getProvider(network);
+
+    // Networks without a base fee only support legacy pricing
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas === null || feeData.maxFeePerGas === undefined) {
+      return null;
+    }
+
+    const source = (this.config.get && this.config.get('general.eip1559_source')) || constants.GAS.EIP1559_SOURCE;
+
+    if (source === 'fee_history') {
+      try {
+        // Use the median tip of recent blocks and the next block's base fee
+        const history = await provider.send('eth_feeHistory', [
+          ethers.toQuantity(constants.GAS.FEE_HISTORY_BLOCKS),
+          'latest',
+          [constants.GAS.FEE_HISTORY_PERCENTILE]
+        ]);
+
+        const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+        const rewards = (history.reward || []).map(reward => BigInt(reward[0]));
+        const priorityFee = rewards.length > 0 ?
+          rewards.reduce((sum, reward) => sum + reward, BigInt(0)) / BigInt(rewards.length) :
+          BigInt(0);
+
+        return {
+          maxFeePerGas: baseFee * BigInt(constants.GAS.BASE_FEE_MULTIPLIER) + priorityFee,
+          maxPriorityFeePerGas: priorityFee
+        };
+      } catch (error) {
+        this.logger.warn(`eth_feeHistory failed: ${error.message}, using fee data instead`);
+      }
+    }
+
+    return {
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+    };
+  }
+
+  async getFeeOverrides(retryCount = 0, network = this.network) {
+    const mode = this.getFeeMode();
+    const networkName = this.getNetwork(network).label;
+
+    if (mode !== 'legacy') {
+      try {
+        const fees = await this.getEip1559Fees(network);
+
+        if (fees) {
+          const multiplier = this.getGasMultiplier(retryCount);
+
+          const maxFeePerGas = this.clampGasPrice(
+            BigInt(Math.floor(Number(fees.maxFeePerGas) * multiplier)), 'Max fee');
+          let maxPriorityFeePerGas = this.clampGasPrice(
+            BigInt(Math.floor(Number(fees.maxPriorityFeePerGas) * multiplier)), 'Priority fee');
+
+          // Priority fee can never exceed the max fee
+          if (maxPriorityFeePerGas > maxFeePerGas) {
+            maxPriorityFeePerGas = maxFeePerGas;
+          }
+
+          this.logger.info(`${networkName} EIP-1559 fees: max ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei, priority ${ethers.formatUnits(maxPriorityFeePerGas, 'gwei')} gwei (${multiplier.toFixed(2)}x)`);
+
+          return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+        }
+
+        if (mode === 'eip1559') {
+          this.logger.warn(`${networkName} does not report a base fee, falling back to legacy gas price`);
+        }
+      } catch (error) {
+        this.logger.warn(`Error getting EIP-1559 fees: ${error.message}, falling back to legacy gas price`);
+      }
+    }
+
+    const gasPrice = await this.getGasPrice(retryCount, network);
+    return { type: 0, gasPrice };
+  }
+
+  getMaxFeePerGas(feeOverrides) {
+    // Upper bound of what a transaction can pay per unit of gas
+    return feeOverrides.maxFeePerGas !== undefined ? feeOverrides.maxFeePerGas : feeOverrides.gasPrice;
+  }
+
+  addGasBuffer(estimatedGas) {
+    return BigInt(Math.floor(Number(estimatedGas) * 1.2));
+  }
+
+  isSimulationEnabled() {
+    return this.config.get ? this.config.getBoolean('general.simulation.enabled', false) : false;
+  }
+
+  async simulateTransaction(txObject, network = this.network, abi = null) {
+    const provider = this.getProvider(network);
+    const tx = { from: this.address, ...txObject };
+
     try {
-      const provider = network === 'sepolia' ? this.sepoliaProvider : this.provider;
+      // Run the call against the pending block so queued transactions are taken into account
+      const result = await provider.call({ ...tx, blockTag: 'pending' });
+
+      // Estimate gas on the same pending state the call was simulated on
+      const rpcTx = provider.getRpcTransaction(tx);
+      const estimatedGas = BigInt(await provider.send('eth_estimateGas', [rpcTx, 'pending']));
+      const gasLimit = this.addGasBuffer(estimatedGas);
+
+      this.logger.info(`Simulation passed, estimated gas: ${estimatedGas.toString()}, with buffer: ${gasLimit.toString()}`);
+
+      return {
+        success: true,
+        result,
+        gasLimit
+      };
+    } catch (error) {
+      const decoded = revert.decodeError(error, abi);
+      if (!decoded) throw error;
+
+      return {
+        success: false,
+        revert: decoded
+      };
+    }
+  }
+
+  async estimateL1Fee(txObject, feeOverrides, network = this.network) {
+    const { opStack, chainId } = this.getNetwork(network);
+    if (!opStack) return 0n;
+
+    // The oracle prices the L1 data of the unsigned serialized transaction
+    const unsignedTx = ethers.Transaction.from({
+      type: feeOverrides.type,
+      to: txObject.to || null,
+      data: txObject.data || '0x',
+      value: txObject.value || 0,
+      gasLimit: txObject.gasLimit || constants.GAS.DEFAULT_GAS,
+      nonce: txObject.nonce || 0,
+      chainId,
+      gasPrice: feeOverrides.gasPrice,
+      maxFeePerGas: feeOverrides.maxFeePerGas,
+      maxPriorityFeePerGas: feeOverrides.maxPriorityFeePerGas
+    });
+
+    const oracle = new ethers.Contract(
+      constants.OP_STACK.GAS_PRICE_ORACLE,
+      ['function getL1Fee(bytes _data) view returns (uint256)'],
+      this.getProvider(network)
+    );
+
+    const l1Fee = await oracle.getL1Fee(unsignedTx.unsignedSerialized);
+    return BigInt(Math.ceil(Number(l1Fee) * constants.OP_STACK.L1_FEE_MULTIPLIER));
+  }
+
+  async estimateTransactionCost(txObject, network = this.network, feeOverrides = null) {
+    const fees = feeOverrides || await this.getFeeOverrides(0, network);
+    const gasLimit = txObject.gasLimit ? BigInt(txObject.gasLimit) : await this.estimateGas({ from: this.address, ...txObject }, network);
+
+    const l2Cost = gasLimit * this.getMaxFeePerGas(fees);
+
+    let l1Fee = 0n;
+    try {
+      l1Fee = await this.estimateL1Fee({ ...txObject, gasLimit }, fees, network);
+    } catch (error) {
+      this.logger.warn(`Could not estimate L1 data fee: ${error.message}`);
+    }
+
+    const total = l2Cost + l1Fee;
+    const { currencySymbol: currency } = this.getNetwork(network);
+    const l1Info = l1Fee > 0n ? ` (L2: ${ethers.formatEther(l2Cost)}, L1 data: ${ethers.formatEther(l1Fee)})` : '';
+    this.logger.info(`Estimated transaction cost: ${ethers.formatEther(total)} ${currency}${l1Info}`);
+
+    return {
+      gasLimit,
+      feeOverrides: fees,
+      l2Cost,
+      l1Fee,
+      total
+    };
+  }
+
+  async estimateGas(txObject, network = this.network) {
+    try {
+      const provider = this.getProvider(network);
       
       // Estimate gas
       const estimatedGas = await provider.estimateGas(txObject);
       
       // Add safety buffer
-      const gasWithBuffer = BigInt(Math.floor(Number(estimatedGas) * 1.2));
+      const gasWithBuffer = this.addGasBuffer(estimatedGas);
       
       this.logger.info(`Estimated gas: ${estimatedGas.toString()}, with buffer: ${gasWithBuffer.toString()}`);
       
       return gasWithBuffer;
     } catch (error) {
+      // A call that reverts in estimation would only revert on chain too
+      if (revert.isRevertError(error)) throw error;
+      
       this.logger.warn(`Gas estimation failed: ${error.message}`);
       
       // Handle proxy errors
@@ -215,40 +541,266 @@ class Blockchain {
     }
   }
   
-  async sendTransaction(txObject, methodName = "transaction", network = 'chainbase') {
+  getConfirmationConfig() {
+    const get = (path, defaultValue) => this.config.get ? this.config.get(path, defaultValue) : defaultValue;
+
+    return {
+      timeoutSeconds: Number(get('general.confirmation.timeout_seconds', constants.CONFIRMATION.TIMEOUT_SECONDS)),
+      maxReplacements: Number(get('general.confirmation.max_replacements', constants.CONFIRMATION.MAX_REPLACEMENTS)),
+      cancelOnFailure: get('general.confirmation.cancel_on_failure', false) === true
+    };
+  }
+
+  // Fees for a replacement, or null when the gas price cap leaves no room to outbid the pending transaction
+  async getReplacementFees(tx, attempt, network = this.network) {
+    const freshFees = await this.getFeeOverrides(attempt, network);
+
+    const bump = (previous, fresh) => {
+      const bumped = BigInt(Math.ceil(Number(previous) * constants.GAS.RETRY_INCREASE));
+      return fresh !== undefined && fresh > bumped ? fresh : bumped;
+    };
+
+    // Nodes reject a replacement that does not raise every fee by the minimum bump
+    const outbids = (fee, previous) =>
+      fee >= BigInt(Math.ceil(Number(previous) * constants.GAS.MIN_REPLACEMENT_BUMP));
+
+    if (tx.type === 2) {
+      const fees = {
+        type: 2,
+        maxFeePerGas: this.clampGasPrice(bump(tx.maxFeePerGas, freshFees.maxFeePerGas), 'Max fee'),
+        maxPriorityFeePerGas: this.clampGasPrice(bump(tx.maxPriorityFeePerGas, freshFees.maxPriorityFeePerGas), 'Priority fee')
+      };
+
+      return outbids(fees.maxFeePerGas, tx.maxFeePerGas) && outbids(fees.maxPriorityFeePerGas, tx.maxPriorityFeePerGas) ?
+        fees :
+        null;
+    }
+
+    const gasPrice = this.clampGasPrice(bump(tx.gasPrice, freshFees.gasPrice));
+    return outbids(gasPrice, tx.gasPrice) ? { type: tx.type, gasPrice } : null;
+  }
+
+  // Returns null without broadcasting when the replacement could not outbid the pending transaction
+  async replaceTransaction(tx, attempt, network = this.network, cancel = false) {
+    const wallet = this.getWallet(network);
+    const fees = await this.getReplacementFees(tx, attempt, network);
+    if (!fees) return null;
+
+    // Re-use the nonce so the new transaction supersedes the stuck one
+    const replacement = cancel ? {
+      to: this.address,
+      value: 0,
+      gasLimit: 21000
+    } : {
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit
+    };
+
+    return wallet.sendTransaction({
+      ...replacement,
+      ...fees,
+      nonce: tx.nonce,
+      chainId: tx.chainId
+    });
+  }
+
+  async findMinedReceipt(hashes, network = this.network) {
+    const provider = this.getProvider(network);
+
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+
+    return null;
+  }
+
+  async waitForConfirmation(tx, methodName = "transaction", network = this.network) {
+    const provider = this.getProvider(network);
+    const { timeoutSeconds, maxReplacements, cancelOnFailure } = this.getConfirmationConfig();
+
+    const sentHashes = [tx.hash];
+    let current = tx;
+    let receipt = null;
+    let atFeeCap = false;
+
+    for (let attempt = 0; !receipt; attempt++) {
+      try {
+        receipt = await provider.waitForTransaction(current.hash, 1, timeoutSeconds * 1000);
+        break;
+      } catch (error) {
+        if (error.code !== 'TIMEOUT') throw error;
+      }
+
+      // Any earlier broadcast may have been mined in the meantime
+      receipt = await this.findMinedReceipt(sentHashes, network);
+      if (receipt) break;
+
+      if (attempt >= maxReplacements) {
+        if (cancelOnFailure) {
+          await this.cancelTransaction(current, attempt + 1, methodName, network);
+        }
+
+        const error = new Error(`${methodName} not confirmed after ${maxReplacements} replacement(s)`);
+        error.code = 'TIMEOUT';
+        throw error;
+      }
+
+      // A replacement at the gas price cap would be rejected as underpriced, so keep waiting instead
+      if (atFeeCap) {
+        this.logger.warn(`${methodName} not confirmed after ${timeoutSeconds}s, still waiting for ${current.hash} (${attempt + 1}/${maxReplacements})...`);
+        continue;
+      }
+
+      this.logger.warn(`${methodName} not confirmed after ${timeoutSeconds}s, replacing with higher fee (${attempt + 1}/${maxReplacements})...`);
+
+      try {
+        const replacement = await this.replaceTransaction(current, attempt + 1, network);
+        if (!replacement) {
+          atFeeCap = true;
+          this.logger.warn(`Fees are at the ${constants.GAS.MAX_GWEI} gwei cap and cannot outbid ${current.hash}, waiting for it instead of replacing`);
+          continue;
+        }
+        this.logger.info(`Replaced ${methodName} transaction: ${current.hash} -> ${replacement.hash}`);
+        sentHashes.push(replacement.hash);
+        current = replacement;
+      } catch (error) {
+        // Usually means the stuck transaction was mined while replacing it
+        this.logger.warn(`Replacement failed: ${error.message}`);
+        receipt = await this.findMinedReceipt(sentHashes, network);
+      }
+    }
+
+    // waitForTransaction can resolve without a receipt, which confirms nothing
+    if (!receipt) {
+      const error = new Error(`${methodName} not confirmed, no receipt for ${current.hash}`);
+      error.code = 'TIMEOUT';
+      throw error;
+    }
+
+    // Reverted transactions still pay for gas
+    await this.recordFee(receipt, network);
+
+    if (receipt.status === 0) {
+      const error = new Error(`${methodName} transaction reverted: ${receipt.hash}`);
+      error.code = 'CALL_EXCEPTION';
+      error.receipt = receipt;
+      error.transaction = current;
+      throw error;
+    }
+
+    return receipt;
+  }
+
+  async cancelTransaction(tx, attempt, methodName = "transaction", network = this.network) {
     try {
-      const wallet = network === 'sepolia' ? this.sepoliaWallet : this.wallet;
-      const chainId = network === 'sepolia' ? constants.SEPOLIA.CHAIN_ID : constants.NETWORK.CHAIN_ID;
-      const explorerUrl = network === 'sepolia' ? constants.SEPOLIA.EXPLORER_URL : constants.NETWORK.EXPLORER_URL;
-      
-      // Get nonce and gas price
-      const nonce = await this.getNonce(network);
-      const gasPrice = await this.getGasPrice(0, network);
+      this.logger.warn(`Cancelling ${methodName} with a 0-value self-transfer at nonce ${tx.nonce}...`);
+
+      const cancellation = await this.replaceTransaction(tx, attempt, network, true);
+      if (!cancellation) {
+        this.logger.warn(`Fees are at the ${constants.GAS.MAX_GWEI} gwei cap, cannot cancel ${methodName} at nonce ${tx.nonce}`);
+        return false;
+      }
+      this.logger.info(`Replaced ${methodName} transaction with cancellation: ${tx.hash} -> ${cancellation.hash}`);
+
+      const { timeoutSeconds } = this.getConfirmationConfig();
+      const provider = this.getProvider(network);
+      const receipt = await provider.waitForTransaction(cancellation.hash, 1, timeoutSeconds * 1000);
+      if (!receipt) {
+        this.logger.warn(`Cancellation ${cancellation.hash} sent but not confirmed for nonce ${tx.nonce}`);
+        return false;
+      }
+      await this.recordFee(receipt, network);
+
+      this.logger.success(`Cancellation confirmed for nonce ${tx.nonce}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Error cancelling ${methodName}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async decodeFailure(error, network = this.network, abi = null) {
+    if (!revert.isRevertError(error)) return null;
+
+    if (error.receipt) {
+      try {
+        const provider = this.getProvider(network);
+        const tx = error.transaction || await provider.getTransaction(error.receipt.hash);
+        return await revert.decodeReceipt(provider, tx, error.receipt, abi);
+      } catch (replayError) {
+        this.logger.warn(`Could not replay reverted transaction: ${replayError.message}`);
+        return { type: 'unknown', reason: 'Transaction reverted without a reason' };
+      }
+    }
+
+    return revert.decodeError(error, abi);
+  }
+
+  async sendTransaction(txObject, methodName = "transaction", network = this.network, estimatedCost = null) {
+    try {
+      const wallet = this.getWallet(network);
+      const { chainId } = this.getNetwork(network);
       
       // Create transaction template
       const txTemplate = {
         from: this.address,
         ...txObject,
-        nonce: nonce,
         chainId: chainId
       };
       
+      // Simulate before broadcasting, skipping calls that would revert
+      if (this.isSimulationEnabled()) {
+        const { gasLimit, ...simulationTx } = txTemplate;
+        const simulation = await this.simulateTransaction(simulationTx, network);
+        
+        if (!simulation.success) {
+          this.logger.warn(`Skipping ${methodName}, simulation reverted: ${simulation.revert.reason}`);
+          
+          return {
+            success: false,
+            skipped: true,
+            error: simulation.revert.reason,
+            code: 'CALL_EXCEPTION',
+            reason: simulation.revert.reason,
+            method: methodName,
+            args: [],
+            revert: simulation.revert
+          };
+        }
+        
+        if (!gasLimit) {
+          txTemplate.gasLimit = simulation.gasLimit;
+        }
+      }
+      
       // Estimate gas if not provided
       if (!txTemplate.gasLimit) {
         txTemplate.gasLimit = await this.estimateGas(txTemplate, network);
       }
       
-      // Set gas price if not provided
-      if (!txTemplate.gasPrice) {
-        txTemplate.gasPrice = gasPrice;
+      // Set fees if not provided
+      if (!txTemplate.gasPrice && !txTemplate.maxFeePerGas) {
+        Object.assign(txTemplate, await this.getFeeOverrides(0, network));
       }
       
-      // Increment nonce before sending
-      this.incrementNonce(network);
+      // Check the budget against the full cost, including the L1 data fee,
+      // re-using the caller's estimate rather than asking the network again
+      if (this.budget.hasLimits()) {
+        const total = estimatedCost !== null ?
+          estimatedCost :
+          (await this.estimateTransactionCost(txTemplate, network, txTemplate)).total;
+        this.assertBudget(total);
+      }
       
-      // Send transaction
-      const tx = await wallet.sendTransaction(txTemplate);
-      const receipt = await tx.wait();
+      // Send transaction with a reserved nonce
+      const tx = await this.sendWithNonce(
+        nonce => wallet.sendTransaction({ ...txTemplate, nonce }),
+        network
+      );
+      const receipt = await this.waitForConfirmation(tx, methodName, network);
       
       this.logger.success(`${methodName} transaction successful`);
       
@@ -258,6 +810,25 @@ class Blockchain {
         success: true
       };
     } catch (error) {
+      // Surface contract reverts with their decoded reason
+      const decoded = await this.decodeFailure(error, network);
+      if (decoded) {
+        this.logger.error(`${methodName} reverted: ${decoded.reason}`);
+        
+        return {
+          success: false,
+          error: decoded.reason,
+          code: 'CALL_EXCEPTION',
+          reason: decoded.reason,
+          method: methodName,
+          args: [],
+          revert: decoded,
+          txHash: error.receipt ? error.receipt.hash : undefined,
+          receipt: error.receipt,
+          details: error
+        };
+      }
+      
       // Extract clean error message
       let cleanErrorMessage = '';
       
@@ -274,6 +845,10 @@ class Blockchain {
           cleanErrorMessage = 'Gas price too low to replace pending transaction';
         } else if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
           cleanErrorMessage = 'Cannot estimate gas for transaction';
+        } else if (error.code === 'TIMEOUT') {
+          cleanErrorMessage = 'Transaction not confirmed in time';
+        } else if (error.code === 'BUDGET_EXHAUSTED' || error.code === 'SHUTDOWN') {
+          cleanErrorMessage = error.message;
         } else {
           // Add additional error information when helpful
           if (error.reason) {
@@ -304,7 +879,7 @@ class Blockchain {
         if (txObject.retryCount === undefined || txObject.retryCount < 3) {
           this.logger.info(`Retrying transaction with new proxy (attempt ${(txObject.retryCount || 0) + 1}/3)...`);
           const newTxObject = { ...txObject, retryCount: (txObject.retryCount || 0) + 1 };
-          return this.sendTransaction(newTxObject, methodName, network);
+          return this.sendTransaction(newTxObject, methodName, network, estimatedCost);
         }
       }
       
@@ -317,15 +892,15 @@ class Blockchain {
     }
   }
   
-  async getBalance(network = 'chainbase') {
+  async getBalance(network = this.network) {
     try {
-      const provider = network === 'sepolia' ? this.sepoliaProvider : this.provider;
-      const currency = "ETH";
+      const provider = this.getReadProvider(network);
+      const { label, currencySymbol: currency } = this.getNetwork(network);
       
       const balance = await provider.getBalance(this.address);
       const balanceInEth = ethers.formatEther(balance);
       
-      this.logger.info(`${network.charAt(0).toUpperCase() + network.slice(1)} Balance: ${balanceInEth} ${currency}`);
+      this.logger.info(`${label} Balance: ${balanceInEth} ${currency}`);
       
       return { 
         balance, 
@@ -356,12 +931,8 @@ class Blockchain {
     }
   }
   
-  resetNonce(network = 'chainbase') {
-    if (network === 'sepolia') {
-      this.sepoliaNonce = null;
-    } else {
-      this.currentNonce = null;
-    }
+  resetNonce(network = this.network) {
+    this.getNonceManager(network).reset();
   }
   
   getProxyInfo() {
@@ -371,7 +942,7 @@ class Blockchain {
     
     return {
       enabled: true,
-      current: proxyManager.currentProxy,
+      current: this.proxy,
       type: proxyManager.getType()
     };
   }
@@ -0,0 +1,133 @@
+// Gas spending budgets per wallet, operation and cycle
+const { ethers } = require('ethers');
+
+/**
+ * GasBudget class
+ * Tracks fees paid by one wallet and checks them against the configured budgets.
+ * The run loop creates one budget per cycle and hands it to every wallet budget,
+ * which also records its fees there
+ */
+class GasBudget {
+  constructor(config = {}, cycle = null) {
+    this.config = config;
+    this.cycle = cycle;
+    this.spent = 0n;
+    this.byOperation = new Map();
+    this.operation = null;
+  }
+
+  /**
+   * Get fees paid by all wallets in the cycle, a budget without a cycle is its own cycle
+   * @returns {bigint} Fees in wei
+   */
+  getCycleSpent() {
+    return this.cycle ? this.cycle.spent : this.spent;
+  }
+
+  isEnabled() {
+    return this.config.get ? this.config.getBoolean('budget.enabled', false) : false;
+  }
+
+  /**
+   * Get a configured limit in wei
+   * @param {string} path - Path below the budget section
+   * @returns {bigint|null} Limit, null when unlimited
+   */
+  getLimit(path) {
+    if (!this.isEnabled()) return null;
+
+    const value = Number(this.config.get(`budget.${path}`, 0));
+    if (!value || value <= 0) return null;
+
+    return ethers.parseEther(value.toString());
+  }
+
+  /**
+   * Set the operation further fees are attributed to
+   * @param {string} name - Operation name
+   */
+  setOperation(name) {
+    this.operation = name;
+  }
+
+  /**
+   * Record a fee paid by this wallet
+   * @param {bigint} fee - Fee in wei
+   */
+  record(fee) {
+    this.spent += fee;
+    if (this.cycle) {
+      this.cycle.record(fee);
+    }
+
+    if (this.operation) {
+      this.byOperation.set(this.operation, this.getOperationSpent() + fee);
+    }
+  }
+
+  /**
+   * Get fees paid by an operation
+   * @param {string} name - Operation name
+   * @returns {bigint} Fees in wei
+   */
+  getOperationSpent(name = this.operation) {
+    return this.byOperation.get(name) || 0n;
+  }
+
+  /**
+   * Check whether any budget has a limit, so costs only need estimating when one does
+   * @returns {boolean}
+   */
+  hasLimits() {
+    if (!this.isEnabled()) return false;
+
+    return this.getLimit('per_cycle_eth') !== null ||
+      this.getLimit('per_wallet_eth') !== null ||
+      (this.operation !== null && this.getLimit(`per_operation_eth.${this.operation}`) !== null);
+  }
+
+  /**
+   * Find the first exhausted budget
+   * @param {string[]} scopes - Budgets to check
+   * @param {bigint} pendingCost - Estimated cost of a transaction about to be sent
+   * @returns {Object|null} { scope, spent, limit } or null when all have room left
+   */
+  getExhausted(scopes = ['cycle', 'wallet', 'operation'], pendingCost = 0n) {
+    const checks = {
+      cycle: () => ({ spent: this.getCycleSpent(), limit: this.getLimit('per_cycle_eth') }),
+      wallet: () => ({ spent: this.spent, limit: this.getLimit('per_wallet_eth') }),
+      operation: () => ({
+        spent: this.getOperationSpent(),
+        limit: this.operation ? this.getLimit(`per_operation_eth.${this.operation}`) : null
+      })
+    };
+
+    for (const scope of scopes) {
+      const { spent, limit } = checks[scope]();
+      if (limit !== null && (spent >= limit || spent + pendingCost > limit)) {
+        return { scope, spent, limit };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Summarize fees paid by this wallet
+   * @returns {Object} Totals in ETH
+   */
+  getSummary() {
+    const operations = {};
+    for (const [name, spent] of this.byOperation) {
+      operations[name] = ethers.formatEther(spent);
+    }
+
+    return {
+      wallet: ethers.formatEther(this.spent),
+      cycle: ethers.formatEther(this.getCycleSpent()),
+      operations
+    };
+  }
+}
+
+module.exports = GasBudget;
@@ -0,0 +1,104 @@
+// Per-cycle checkpoints so an interrupted cycle resumes where it stopped
+const state = require('./state');
+
+/**
+ * CheckpointStore class
+ * Records finished operations in the state file, keyed by cycle ID, wallet address and operation name
+ */
+class CheckpointStore {
+  constructor() {
+    // Only cycles record checkpoints, single operations run from the command line do not
+    this.cycleId = null;
+  }
+
+  /**
+   * Start a cycle, resuming the unfinished one from the state file unless fresh is set
+   * @param {Object} options - { fresh }
+   * @returns {Promise<Object>} { id, resumed, operations } where operations counts finished ones
+   */
+  async startCycle({ fresh = false } = {}) {
+    const current = state.get('cycle');
+
+    if (current && current.id && !current.completed && !fresh) {
+      this.cycleId = current.id;
+
+      const wallets = Object.values(state.get(['checkpoints', this.cycleId], {}));
+      const operations = wallets.reduce((count, wallet) => count + Object.keys(wallet.operations || {}).length, 0);
+      return { id: this.cycleId, resumed: true, operations };
+    }
+
+    this.cycleId = new Date().toISOString();
+
+    // Checkpoints of earlier cycles are dropped so the file does not grow
+    state.set('cycle', { id: this.cycleId, completed: false });
+    state.set('checkpoints', { [this.cycleId]: {} });
+    await state.save();
+
+    return { id: this.cycleId, resumed: false, operations: 0 };
+  }
+
+  /**
+   * Mark the current cycle as finished, the next start begins a new one
+   * @returns {Promise<void>}
+   */
+  async completeCycle() {
+    if (!this.cycleId) return;
+
+    state.set(['cycle', 'completed'], true);
+    state.set(['cycle', 'completed_at'], new Date().toISOString());
+    this.cycleId = null;
+    await state.save();
+  }
+
+  /**
+   * Get the checkpoint of an operation finished in the current cycle
+   * @param {string} address - Wallet address
+   * @param {string} operation - Operation name
+   * @returns {Object|null} { success, completed_at } or null when not finished
+   */
+  getOperation(address, operation) {
+    if (!this.cycleId) return null;
+    return state.get(['checkpoints', this.cycleId, address, 'operations', operation], null);
+  }
+
+  /**
+   * Check whether a wallet finished every operation in the current cycle
+   * @param {string} address - Wallet address
+   * @returns {boolean}
+   */
+  isWalletDone(address) {
+    if (!this.cycleId) return false;
+    return state.get(['checkpoints', this.cycleId, address, 'completed'], false) === true;
+  }
+
+  /**
+   * Record a finished operation
+   * @param {string} address - Wallet address
+   * @param {string} operation - Operation name
+   * @param {boolean} success - Whether the operation succeeded
+   * @returns {Promise<void>}
+   */
+  async recordOperation(address, operation, success) {
+    if (!this.cycleId) return;
+
+    state.set(['checkpoints', this.cycleId, address, 'operations', operation], {
+      success,
+      completed_at: new Date().toISOString()
+    });
+    await state.save();
+  }
+
+  /**
+   * Record that a wallet has nothing left to do in the current cycle
+   * @param {string} address - Wallet address
+   * @returns {Promise<void>}
+   */
+  async recordWallet(address) {
+    if (!this.cycleId) return;
+
+    state.set(['checkpoints', this.cycleId, address, 'completed'], true);
+    await state.save();
+  }
+}
+
+module.exports = new CheckpointStore();
@@ -2,38 +2,239 @@
 const fs = require('fs').promises;
 const _ = require('lodash');
 const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const { validate, getSchemaNode, ConfigError } = require('./schema');
+const { migrate } = require('./migrations');
+
+// Environment variables overriding config paths, e.g. CHAINBASE__GENERAL__LOG_LEVEL=debug
+const ENV_PREFIX = 'CHAINBASE__';
+
+// Deep-merge configs left to right, lists are replaced rather than merged by index
+function mergeConfigs(...configs) {
+  return _.mergeWith({}, ...configs, (objValue, srcValue) =>
+    Array.isArray(srcValue) ? srcValue : undefined);
+}
 
 class Config {
   constructor() {
+    // Effective configuration: the file merged over the defaults
     this.config = {};
-    this.walletNum = null;
-    this.logger = logger.getInstance();
+    
+    // File contents as written, for config print
+    this.fileConfig = {};
+    
+    // --set assignments from the command line
+    this.cliOverrides = [];
   }
 
-  async load() {
+  // Logger of the wallet currently running, resolved per call since the config is shared
+  get logger() {
+    return logger.getInstance();
+  }
+
+  // Load the config file merged over the defaults, with environment and --set overrides on top.
+  // An older file is only rewritten with writeMigration, so read-only commands leave it alone
+  async load(file = 'config.json', options = {}) {
+    this.fileConfig = await this.readConfigFile(file, options);
+    this.config = mergeConfigs(this.getDefaults(), this.fileConfig);
+    this.applyOverrides(file);
+    return this.config;
+  }
+
+  // Read and validate the config file, an invalid file is an error rather than a reason to fall back to defaults
+  async readConfigFile(file, options = {}) {
+    let jsonContent;
     try {
-      const jsonExists = await fs.access('config.json').then(() => true).catch(() => false);
-      if (jsonExists) {
-        this.logger.success(`Found config.json`);
-        const jsonContent = await fs.readFile('config.json', 'utf8');
-        this.config = JSON.parse(jsonContent);
-      } else {
-        this.logger.warn(`No configuration file found, using defaults`);
-        this.config = this.getDefaults();
+      jsonContent = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new ConfigError(file, [`unable to read file: ${error.message}`]);
       }
-      return this.config;
+      this.logger.warn(`No configuration file found at ${file}, using defaults`);
+      return {};
+    }
+    
+    this.logger.success(`Found ${file}`);
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonContent);
+    } catch (error) {
+      // Point at the line and column rather than the character offset
+      const position = error.message.match(/at position (\d+)/);
+      if (position) {
+        const lines = jsonContent.slice(0, Number(position[1])).split('\n');
+        throw new ConfigError(file, [`not valid JSON at line ${lines.length}, column ${lines[lines.length - 1].length + 1}: ${error.message}`]);
+      }
+      throw new ConfigError(file, [`not valid JSON: ${error.message}`]);
+    }
+    
+    // Upgrade files written for an older schema before validating against the current one
+    let migration;
+    try {
+      migration = migrate(parsed, file);
     } catch (error) {
-      this.logger.error(`Error loading configuration: ${error.message}`);
-      this.config = this.getDefaults();
-      return this.config;
+      throw error instanceof ConfigError ? error : new ConfigError(file, [error.message]);
+    }
+    parsed = migration.config;
+    
+    const problems = validate(parsed);
+    if (problems.length > 0) {
+      throw new ConfigError(file, problems);
+    }
+    
+    if (migration.changes.length > 0) {
+      this.logMigration(file, migration);
+      
+      if (options.writeMigration) {
+        await this.writeMigrated(file, jsonContent, migration);
+      } else {
+        this.logger.info(`${file} was migrated in memory only, it is rewritten on the next run`);
+      }
+    }
+    
+    return parsed;
+  }
+
+  // --set path=value assignments from the command line, applied after environment variables
+  setCliOverrides(assignments = []) {
+    this.cliOverrides = assignments;
+    return this;
+  }
+
+  // Overrides from CHAINBASE__SECTION__KEY environment variables and --set, later ones win
+  collectOverrides(env = process.env) {
+    const overrides = Object.keys(env)
+      .filter(name => name.startsWith(ENV_PREFIX) && name.length > ENV_PREFIX.length)
+      .sort()
+      .map(name => ({
+        path: name.slice(ENV_PREFIX.length).split('__').map(part => part.toLowerCase()).join('.'),
+        raw: env[name],
+        source: name
+      }));
+    
+    for (const assignment of this.cliOverrides || []) {
+      const separator = assignment.indexOf('=');
+      overrides.push({
+        path: separator > 0 ? assignment.slice(0, separator).trim() : assignment,
+        raw: separator > 0 ? assignment.slice(separator + 1) : undefined,
+        source: '--set'
+      });
+    }
+    
+    return overrides;
+  }
+
+  // Convert an override string to the type of the key's default, or the type the schema expects
+  coerceOverride(path, raw) {
+    const defaultValue = this.getDefault(path);
+    const node = getSchemaNode(path);
+    const type = defaultValue !== undefined ?
+      (Array.isArray(defaultValue) ? 'array' : typeof defaultValue) :
+      node && node.type;
+    
+    switch (type) {
+      case 'boolean':
+        if (/^(true|1|yes|on)$/i.test(raw.trim())) return true;
+        if (/^(false|0|no|off)$/i.test(raw.trim())) return false;
+        throw new Error(`expected true or false, got "${raw}"`);
+      
+      case 'number':
+      case 'integer': {
+        const value = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(value)) {
+          throw new Error(`expected a number, got "${raw}"`);
+        }
+        return value;
+      }
+      
+      case 'array': {
+        // JSON lists as they are, otherwise comma separated values
+        if (raw.trim().startsWith('[')) return JSON.parse(raw);
+        
+        const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+        const itemType = Array.isArray(defaultValue) && defaultValue.length > 0 ?
+          typeof defaultValue[0] :
+          node && node.items && node.items.type;
+        return ['number', 'integer'].includes(itemType) ? items.map(Number) : items;
+      }
+      
+      case 'object':
+        return JSON.parse(raw);
+      
+      default:
+        return raw;
     }
   }
 
+  // Apply collected overrides to the effective config, validating the result like the file itself
+  applyOverrides(file) {
+    const overrides = this.collectOverrides();
+    if (overrides.length === 0) return;
+    
+    const layer = {};
+    const problems = [];
+    
+    for (const { path, raw, source } of overrides) {
+      if (raw === undefined) {
+        problems.push(`${source} ${path}: expected path=value`);
+        continue;
+      }
+      
+      try {
+        _.set(layer, path, this.coerceOverride(path, raw));
+      } catch (error) {
+        problems.push(`${path} (${source}): ${error.message}`);
+      }
+    }
+    
+    const merged = mergeConfigs(this.config, layer);
+    problems.push(...validate(merged));
+    
+    if (problems.length > 0) {
+      throw new ConfigError(`${file} with overrides`, problems);
+    }
+    
+    this.config = merged;
+    
+    this.logger.info('Config overrides in effect:');
+    overrides.forEach(({ path, source }) => {
+      const value = path === 'mnemonic.phrase' ? '<hidden>' : JSON.stringify(_.get(layer, path));
+      this.logger.info(`  ${path} = ${value} (${source})`);
+    });
+  }
+
+  logMigration(file, { from, to, changes }) {
+    this.logger.info(`Migrating ${file} from schema version ${from} to ${to}:`);
+    changes.forEach(change => this.logger.info(`  ${change}`));
+  }
+
+  // Back up the original file, then write the migrated one in its place
+  async writeMigrated(file, originalContent, { config, from }) {
+    // Never overwrite an earlier backup
+    let backupFile = `${file}.v${from}.bak`;
+    const backupExists = await fs.access(backupFile).then(() => true).catch(() => false);
+    if (backupExists) {
+      backupFile = `${file}.v${from}.${Date.now()}.bak`;
+    }
+    
+    await fs.writeFile(backupFile, originalContent, 'utf8');
+    
+    const tmpFile = `${file}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(config, null, 2) + '\n', 'utf8');
+    await fs.rename(tmpFile, file);
+    
+    this.logger.success(`Migrated ${file}, the original was saved to ${backupFile}`);
+  }
+
   getDefaults() {
     return {
+      schema_version: constants.VERSION.CONFIG_SCHEMA,
       operations: {
         bridge: {
           enabled: false,
+          l1_network: "sepolia",
+          l2_network: "chainbase",
           amount: {
             min: 0.0001,
             max: 0.0004,
@@ -135,14 +336,84 @@ class Config {
         }
       },
       general: {
+        network: "chainbase",
+        concurrency: 1,
         gas_price_multiplier: 1.2,
+        fee_mode: "auto",
+        eip1559_source: "fee_history",
         max_retries: 5,
         base_wait_time: 10,
         delay: {
           min_seconds: 5,
           max_seconds: 30
+        },
+        confirmation: {
+          timeout_seconds: 180,
+          max_replacements: 3,
+          cancel_on_failure: false
+        },
+        simulation: {
+          enabled: false
+        },
+        schedule: {
+          interval_hours: 8,
+          cron: "",
+          timezone: ""
+        }
+      },
+      networks: {
+        chainbase: {
+          label: "Chainbase",
+          name: constants.NETWORK.NAME,
+          chain_id: constants.NETWORK.CHAIN_ID,
+          rpc_urls: [constants.NETWORK.RPC_URL],
+          explorer_url: constants.NETWORK.EXPLORER_URL,
+          currency_symbol: constants.NETWORK.CURRENCY_SYMBOL,
+          op_stack: true,
+          bridge: {
+            outbox_address: constants.BRIDGE.CHAINBASE_TO_SEPOLIA.OUTBOX_ADDRESS,
+            withdrawal_function: constants.BRIDGE.CHAINBASE_TO_SEPOLIA.WITHDRAWAL_FUNCTION
+          }
+        },
+        sepolia: {
+          label: "Sepolia",
+          name: constants.SEPOLIA.NAME,
+          chain_id: constants.SEPOLIA.CHAIN_ID,
+          rpc_urls: [constants.SEPOLIA.RPC_URL, "https://ethereum-sepolia-rpc.publicnode.com"],
+          explorer_url: constants.SEPOLIA.EXPLORER_URL,
+          currency_symbol: "ETH",
+          bridge: {
+            inbox_address: constants.BRIDGE.SEPOLIA_TO_CHAINBASE.INBOX_ADDRESS,
+            deposit_function: constants.BRIDGE.SEPOLIA_TO_CHAINBASE.DEPOSIT_FUNCTION
+          }
+        }
+      },
+      rpc: {
+        timeout_seconds: 15,
+        batch_size: 50,
+        quorum: {
+          enabled: false,
+          size: 2
         }
       },
+      budget: {
+        enabled: false,
+        per_wallet_eth: 0.005,
+        per_cycle_eth: 0.05,
+        per_operation_eth: {}
+      },
+      keystore: {
+        dir: "data/keystores",
+        password_file: ""
+      },
+      mnemonic: {
+        enabled: false,
+        phrase: "",
+        encrypted_file: "",
+        path: "m/44'/60'/0'/0/{index}",
+        start_index: 0,
+        count: 5
+      },
       proxy: {
         enabled: false,
         type: "http",
@@ -152,16 +423,20 @@ class Config {
         }
       },
       randomization: {
-        enable: true,
+        enabled: true,
         excluded_operations: [],
         operations_to_run: ["bridge", "transfer", "contract_deploy", "contract_testing", "erc20", "nft", "batch_operations", "random_contract", "random_token"]
       }
     };
   }
 
+  // The single default of a key, used where no config has been loaded
+  getDefault(path, defaultValue) {
+    return _.get(this.getDefaults(), path, defaultValue);
+  }
+
   setWalletNum(num) {
-    this.walletNum = num;
-    this.logger = logger.getInstance(num);
+    logger.setWalletNum(num);
     return this;
   }
 
@@ -190,7 +465,11 @@ class Config {
     return this.getBoolean(`operations.${feature}.enabled`, this.getBoolean(`${feature}.enabled`, false));
   }
 
-  getRange(feature, property, defaultMin = 1, defaultMax = 10) {
+  // Without explicit fallbacks the range falls back to getDefaults, so call sites cannot disagree on it
+  getRange(feature, property, defaultMin, defaultMax) {
+    if (defaultMin === undefined) defaultMin = this.getDefault(`operations.${feature}.${property}.min`, 1);
+    if (defaultMax === undefined) defaultMax = this.getDefault(`operations.${feature}.${property}.max`, 10);
+    
     const minValue = this.getNumber(`operations.${feature}.${property}.min`, 
                        this.getNumber(`${feature}.${property}.min`, defaultMin));
     
@@ -205,21 +484,21 @@ class Config {
     return { min: minValue, max: maxValue };
   }
 
-  getRandomInRange(feature, property, defaultMin = 1, defaultMax = 10) {
+  getRandomInRange(feature, property, defaultMin, defaultMax) {
     const range = this.getRange(feature, property, defaultMin, defaultMax);
     return Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
   }
 
   getDelayConfig() {
-    return this.config.general?.delay || this.config.delay || { min_seconds: 5, max_seconds: 30 };
+    return this.get('general.delay', this.getDefault('general.delay'));
   }
 
-  getRepeatTimes(feature, defaultValue = 1) {
+  getRepeatTimes(feature, defaultValue = this.getDefault(`operations.${feature}.repeat_times`, 1)) {
     return this.getNumber(`operations.${feature}.repeat_times`, this.getNumber(`${feature}.repeat_times`, defaultValue));
   }
 
   getGasPriceMultiplier() {
-    return this.getNumber('general.gas_price_multiplier', 1.2);
+    return this.getNumber('general.gas_price_multiplier', this.getDefault('general.gas_price_multiplier'));
   }
 
   set(path, value) {
@@ -227,9 +506,17 @@ class Config {
     return this;
   }
 
+  // Copy of this configuration with a partial override deep-merged on top, lists are replaced
+  withOverrides(overrides = {}) {
+    const scoped = Object.create(Object.getPrototypeOf(this));
+    scoped.config = mergeConfigs(this.config, overrides);
+    scoped.fileConfig = this.fileConfig;
+    return scoped;
+  }
+
   getRandomizedOperations(allOperations) {
     const randomizationConfig = this.get('randomization', { 
-      enable: false, 
+      enabled: false, 
       excluded_operations: [],
       operations_to_run: allOperations.map(op => op.name)
     });
@@ -241,7 +528,7 @@ class Config {
     const fixedOps = filteredOperations.filter(op => excludedOps.includes(op.name));
     const randomizableOps = filteredOperations.filter(op => !excludedOps.includes(op.name));
     
-    if (randomizationConfig.enable && randomizableOps.length > 1) {
+    if (randomizationConfig.enabled && randomizableOps.length > 1) {
       this.shuffleArray(randomizableOps);
     }
     
@@ -1,14 +1,16 @@
 // Smart contract management
+const crypto = require('crypto');
 const solc = require('solc');
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const constants = require('../utils/constants');
 const { randomDelay } = require('../utils/delay');
+const revert = require('./revert');
 
 class Contract {
-  constructor(blockchain, config = {}) {
+  constructor(blockchain, config = {}, network = null) {
     this.blockchain = blockchain;
     this.config = config;
+    this.network = network || blockchain.network;
     this.walletNum = blockchain.walletNum;
     this.logger = this.walletNum !== null ? logger.getInstance(this.walletNum) : logger.getInstance();
     this.compiledContracts = new Map(); // Cache for compiled contracts
@@ -17,7 +19,6 @@ class Contract {
   getDelayConfig() {
     return this.config.getDelayConfig ? this.config.getDelayConfig() : 
            (this.config.general && this.config.general.delay) ? this.config.general.delay : 
-           (this.config.delay) ? this.config.delay : 
            { min_seconds: 5, max_seconds: 30 };
   }
   
@@ -26,8 +27,8 @@ class Contract {
   }
   
   async compileContract(contractName, contractSource, solFileName = null) {
-    // Check cache first
-    const cacheKey = `${contractName}_${contractSource.length}`;
+    // Check cache first, keyed on the full source since generated contracts can share a name
+    const cacheKey = `${contractName}_${crypto.createHash('sha256').update(contractSource).digest('hex')}`;
     if (this.compiledContracts.has(cacheKey)) {
       this.logger.info(`Using cached compilation for ${contractName} contract`);
       return this.compiledContracts.get(cacheKey);
@@ -91,6 +92,21 @@ class Contract {
     }
   }
   
+  async estimateDeploymentGas(compiledContract, constructorArgs = []) {
+    const factory = new ethers.ContractFactory(
+      compiledContract.abi,
+      `0x${compiledContract.bytecode}`,
+      this.blockchain.getWallet(this.network)
+    );
+    
+    // Estimate without a fallback, a deployment that cannot be estimated should not be sent
+    const deployTx = await factory.getDeployTransaction(...constructorArgs);
+    return await this.blockchain.getProvider(this.network).estimateGas({
+      ...deployTx,
+      from: this.blockchain.address
+    });
+  }
+  
   async deployContract(compiledContract, constructorArgs = [], methodName = "contract") {
     try {
       this.logger.info(`Deploying ${methodName} contract...`);
@@ -102,23 +118,29 @@ class Contract {
       const factory = new ethers.ContractFactory(
         compiledContract.abi,
         `0x${compiledContract.bytecode}`,
-        this.blockchain.wallet
+        this.blockchain.getWallet(this.network)
       );
       
-      // Deploy the contract
-      const contract = await factory.deploy(...constructorArgs);
-      await contract.waitForDeployment();
+      // Deploy the contract using the wallet's fee policy and nonce tracker
+      const feeOverrides = await this.blockchain.getFeeOverrides(0, this.network);
+      const contract = await this.blockchain.sendWithNonce(
+        nonce => factory.deploy(...constructorArgs, { ...feeOverrides, nonce }),
+        this.network
+      );
       
-      const contractAddress = await contract.getAddress();
+      // Wait for confirmation, replacing the deployment if it gets stuck
       const deployTx = contract.deploymentTransaction();
+      const receipt = await this.blockchain.waitForConfirmation(deployTx, `${methodName} deployment`, this.network);
+      
+      const contractAddress = receipt.contractAddress;
       
       this.logger.success(`${methodName} contract deployed at: ${contractAddress}`);
-      this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${deployTx.hash}`);
+      this.logger.success(`View transaction: ${this.blockchain.getExplorerUrl(this.network)}/tx/${receipt.hash}`);
       
       return {
         contractAddress,
         abi: compiledContract.abi,
-        txHash: deployTx.hash
+        txHash: receipt.hash
       };
     } catch (error) {
       this.logger.error(`Error deploying ${methodName} contract: ${error.message}`);
@@ -135,7 +157,7 @@ class Contract {
       const contract = new ethers.Contract(
         contractAddress,
         abi,
-        this.blockchain.wallet
+        this.blockchain.getWallet(this.network)
       );
       
       // Prepare transaction
@@ -158,17 +180,46 @@ class Contract {
         }
       }
       
+      // Apply the wallet's fee policy
+      const overrides = await this.blockchain.getFeeOverrides(0, this.network);
+
       // Send transaction with or without value
       if (value !== '0') {
-        tx = await contract[methodName](...methodArgs, { value: valueToSend });
-      } else {
-        tx = await contract[methodName](...methodArgs);
+        overrides.value = valueToSend;
       }
       
+      // Simulate before broadcasting, skipping calls that would revert
+      if (this.blockchain.isSimulationEnabled()) {
+        const { type, gasPrice, maxFeePerGas, maxPriorityFeePerGas, ...callOverrides } = overrides;
+        const populated = await contract[methodName].populateTransaction(...methodArgs, callOverrides);
+        const simulation = await this.blockchain.simulateTransaction(populated, this.network, abi);
+        
+        if (!simulation.success) {
+          this.logger.warn(`Skipping ${methodName}(${revert.formatArgs(methodArgs)}), simulation reverted: ${simulation.revert.reason}`);
+          return {
+            success: false,
+            skipped: true,
+            error: simulation.revert.reason,
+            reason: simulation.revert.reason,
+            method: methodName,
+            args: methodArgs,
+            revert: simulation.revert
+          };
+        }
+        
+        // Re-use the simulated estimate instead of estimating again on send
+        overrides.gasLimit = simulation.gasLimit;
+      }
+      
+      tx = await this.blockchain.sendWithNonce(
+        nonce => contract[methodName](...methodArgs, { ...overrides, nonce }),
+        this.network
+      );
+      
       // Wait for confirmation
-      const receipt = await tx.wait();
+      const receipt = await this.blockchain.waitForConfirmation(tx, methodName, this.network);
       
-      this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.hash}`);
+      this.logger.success(`View transaction: ${this.blockchain.getExplorerUrl(this.network)}/tx/${receipt.hash}`);
       
       return {
         success: true,
@@ -176,6 +227,22 @@ class Contract {
         receipt
       };
     } catch (error) {
+      // Decode reverts through the contract ABI
+      const decoded = await this.blockchain.decodeFailure(error, this.network, abi);
+      if (decoded) {
+        this.logger.error(`${methodName}(${revert.formatArgs(methodArgs)}) reverted: ${decoded.reason}`);
+        return {
+          success: false,
+          error: decoded.reason,
+          reason: decoded.reason,
+          method: methodName,
+          args: methodArgs,
+          revert: decoded,
+          txHash: error.receipt ? error.receipt.hash : undefined,
+          receipt: error.receipt
+        };
+      }
+      
       this.logger.error(`Error calling ${methodName}: ${error.message}`);
       return {
         success: false,
@@ -190,7 +257,7 @@ class Contract {
       const contract = new ethers.Contract(
         contractAddress,
         abi,
-        this.blockchain.provider
+        this.blockchain.getProvider(this.network)
       );
       
       this.logger.info(`Calling view method: ${methodName}`);
@@ -203,6 +270,19 @@ class Contract {
         result
       };
     } catch (error) {
+      const decoded = revert.decodeError(error, abi);
+      if (decoded) {
+        this.logger.error(`View method ${methodName}(${revert.formatArgs(methodArgs)}) reverted: ${decoded.reason}`);
+        return {
+          success: false,
+          error: decoded.reason,
+          reason: decoded.reason,
+          method: methodName,
+          args: methodArgs,
+          revert: decoded
+        };
+      }
+      
       this.logger.error(`Error calling view method ${methodName}: ${error.message}`);
       return {
         success: false,
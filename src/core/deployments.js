@@ -0,0 +1,70 @@
+// Record of contracts deployed by operations
+const fs = require('fs').promises;
+const path = require('path');
+const constants = require('../utils/constants');
+
+/**
+ * DeploymentStore class
+ * Appends deployed contracts to a JSON file, kept apart from the run state so
+ * resetting a cycle never loses track of deployed tokens
+ */
+class DeploymentStore {
+  constructor() {
+    this.file = constants.DEPLOYMENTS.FILE;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Read every recorded deployment, a missing file means none
+   * @param {string} file - Deployments file path
+   * @returns {Promise<Object[]>} Deployments in the order they were recorded
+   */
+  async load(file = this.file) {
+    try {
+      const deployments = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (!Array.isArray(deployments)) {
+        throw new Error('expected an array of deployments');
+      }
+      return deployments;
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Unable to read deployments file ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Append a deployment, queued behind earlier writes since concurrent wallets deploy independently
+   * @param {Object} deployment - { type, network, address, owner, ... }
+   * @returns {Promise<void>}
+   */
+  record(deployment) {
+    const write = this.pendingWrite.then(async () => {
+      const deployments = await this.load();
+      deployments.push({ ...deployment, deployed_at: new Date().toISOString() });
+
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+      const tmpFile = `${this.file}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(deployments, null, 2), 'utf8');
+      await fs.rename(tmpFile, this.file);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Get the ERC20 tokens deployed by a wallet
+   * @param {Object[]} deployments - Result of load
+   * @param {string} owner - Wallet address
+   * @returns {Object[]} Token deployments
+   */
+  getTokens(deployments, owner) {
+    return deployments.filter(deployment =>
+      deployment.type === 'erc20' &&
+      String(deployment.owner).toLowerCase() === owner.toLowerCase()
+    );
+  }
+}
+
+module.exports = new DeploymentStore();
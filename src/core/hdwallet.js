@@ -0,0 +1,116 @@
+// HD wallet derivation from a BIP-39 mnemonic
+const fs = require('fs').promises;
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+const keystore = require('./keystore');
+
+/**
+ * Read mnemonic settings from config
+ * @param {Object} config - Configuration object
+ * @returns {Object} Mnemonic settings
+ */
+function getMnemonicConfig(config = {}) {
+  const get = (path, defaultValue) => config.get ? config.get(`mnemonic.${path}`, defaultValue) : defaultValue;
+
+  return {
+    enabled: get('enabled', false) === true,
+    phrase: get('phrase', ''),
+    encryptedFile: get('encrypted_file', ''),
+    pathTemplate: get('path', constants.MNEMONIC.PATH),
+    startIndex: Number(get('start_index', 0)),
+    count: Number(get('count', 1))
+  };
+}
+
+/**
+ * Check whether wallets should be derived from a mnemonic
+ * @param {Object} config - Configuration object
+ * @returns {boolean}
+ */
+function isEnabled(config = {}) {
+  return getMnemonicConfig(config).enabled || !!process.env[constants.MNEMONIC.PHRASE_ENV];
+}
+
+/**
+ * Build the derivation path for an index
+ * @param {string} template - Path with an {index} placeholder
+ * @param {number} index - Derivation index
+ * @returns {string} Derivation path
+ */
+function getPath(template, index) {
+  if (!template.includes('{index}')) {
+    throw new Error(`Derivation path "${template}" must contain an {index} placeholder`);
+  }
+  return template.replace('{index}', index);
+}
+
+/**
+ * Resolve the mnemonic from the environment, config or an encrypted file
+ * @param {Object} options - Mnemonic settings
+ * @param {string} passwordFile - Keystore password file
+ * @returns {Promise<ethers.Mnemonic>} Mnemonic
+ */
+async function resolveMnemonic(options, passwordFile = null) {
+  const phrase = process.env[constants.MNEMONIC.PHRASE_ENV] || options.phrase;
+
+  if (phrase) {
+    if (!ethers.Mnemonic.isValidMnemonic(phrase.trim())) {
+      throw new Error('Mnemonic phrase is not a valid BIP-39 mnemonic');
+    }
+    return ethers.Mnemonic.fromPhrase(phrase.trim());
+  }
+
+  if (options.encryptedFile) {
+    // Encrypted keystore JSON that carries the mnemonic, as written by HDNodeWallet.encrypt
+    const json = await fs.readFile(options.encryptedFile, 'utf8');
+    const password = await keystore.getPassword({ passwordFile });
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+
+    if (!wallet.mnemonic) {
+      throw new Error(`${options.encryptedFile} does not contain a mnemonic`);
+    }
+    return wallet.mnemonic;
+  }
+
+  throw new Error(`No mnemonic configured. Set mnemonic.phrase, mnemonic.encrypted_file or ${constants.MNEMONIC.PHRASE_ENV}`);
+}
+
+/**
+ * Derive the configured range of wallets
+ * @param {Object} config - Configuration object
+ * @param {string} passwordFile - Keystore password file for an encrypted mnemonic
+ * @returns {Promise<Object[]>} Wallet entries { wallet, address, derivationIndex, path }
+ */
+async function deriveWallets(config = {}, passwordFile = null) {
+  const options = getMnemonicConfig(config);
+
+  if (!Number.isInteger(options.startIndex) || options.startIndex < 0) {
+    throw new Error('mnemonic.start_index must be a non-negative integer');
+  }
+  if (!Number.isInteger(options.count) || options.count < 1) {
+    throw new Error('mnemonic.count must be a positive integer');
+  }
+
+  const mnemonic = await resolveMnemonic(options, passwordFile);
+  const entries = [];
+
+  for (let index = options.startIndex; index < options.startIndex + options.count; index++) {
+    const path = getPath(options.pathTemplate, index);
+    const wallet = ethers.HDNodeWallet.fromMnemonic(mnemonic, path);
+
+    entries.push({
+      wallet,
+      address: wallet.address,
+      derivationIndex: index,
+      path
+    });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  isEnabled,
+  getPath,
+  deriveWallets
+};
@@ -0,0 +1,168 @@
+// Encrypted JSON keystore wallets
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+
+// Password resolved once per process so later cycles do not prompt again
+let cachedPassword = null;
+
+/**
+ * Ask for input on the terminal without echoing it.
+ * The prompt goes to stderr so commands piping stdout never capture it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Answer
+ */
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    process.stderr.write(question);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    rl._writeToOutput = () => {};
+
+    // Raw mode swallows Ctrl-C, so treat it as an abort of the prompt
+    rl.on('SIGINT', () => {
+      rl.close();
+      process.stderr.write('\n');
+      process.exit(130);
+    });
+
+    rl.question('', (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Resolve the keystore password from the environment, a password file or a prompt
+ * @param {Object} options - { passwordFile, confirm }
+ * @returns {Promise<string>} Password
+ */
+async function getPassword(options = {}) {
+  const { passwordFile = null, confirm = false } = options;
+
+  if (cachedPassword !== null) return cachedPassword;
+
+  if (process.env[constants.KEYSTORE.PASSWORD_ENV]) {
+    cachedPassword = process.env[constants.KEYSTORE.PASSWORD_ENV];
+    return cachedPassword;
+  }
+
+  const file = process.env[constants.KEYSTORE.PASSWORD_FILE_ENV] || passwordFile;
+  if (file) {
+    const password = (await fs.readFile(file, 'utf8')).replace(/\r?\n$/, '');
+    if (!password) {
+      throw new Error(`Keystore password file ${file} is empty`);
+    }
+    cachedPassword = password;
+    return cachedPassword;
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`No keystore password available. Set ${constants.KEYSTORE.PASSWORD_ENV}, ${constants.KEYSTORE.PASSWORD_FILE_ENV} or keystore.password_file`);
+  }
+
+  const password = await promptHidden('Keystore password: ');
+  if (!password) {
+    throw new Error('Keystore password cannot be empty');
+  }
+
+  if (confirm && await promptHidden('Repeat password: ') !== password) {
+    throw new Error('Passwords do not match');
+  }
+
+  cachedPassword = password;
+  return cachedPassword;
+}
+
+/**
+ * List keystore files in wallet order
+ * @param {string} dir - Keystore directory
+ * @returns {Promise<string[]>} File paths
+ */
+async function listKeystores(dir = constants.KEYSTORE.DIR) {
+  try {
+    const files = await fs.readdir(dir);
+    return files
+      .filter(file => file.toLowerCase().endsWith('.json'))
+      .sort()
+      .map(file => path.join(dir, file));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Decrypt every keystore in a directory
+ * @param {string} password - Keystore password
+ * @param {string} dir - Keystore directory
+ * @returns {Promise<Object[]>} Decrypted ethers wallets
+ */
+async function loadKeystores(password, dir = constants.KEYSTORE.DIR) {
+  const files = await listKeystores(dir);
+  const wallets = [];
+
+  for (const file of files) {
+    const json = await fs.readFile(file, 'utf8');
+
+    try {
+      wallets.push(await ethers.Wallet.fromEncryptedJson(json, password));
+    } catch (error) {
+      throw new Error(`Failed to decrypt ${file}: ${error.message}`);
+    }
+  }
+
+  return wallets;
+}
+
+/**
+ * Encrypt private keys into keystores, skipping addresses that already have one
+ * @param {string[]} privateKeys - Hex private keys
+ * @param {string} password - Keystore password
+ * @param {string} dir - Keystore directory
+ * @returns {Promise<Object>} { created, skipped } lists of addresses
+ */
+async function importPrivateKeys(privateKeys, password, dir = constants.KEYSTORE.DIR) {
+  await fs.mkdir(dir, { recursive: true });
+
+  const existingFiles = await listKeystores(dir);
+  const existing = new Set();
+  for (const file of existingFiles) {
+    const { address } = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (address) existing.add(ethers.getAddress(address.startsWith('0x') ? address : `0x${address}`));
+  }
+
+  const created = [];
+  const skipped = [];
+  let index = existingFiles.length;
+
+  for (const privateKey of privateKeys) {
+    const wallet = new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`);
+
+    if (existing.has(wallet.address)) {
+      skipped.push(wallet.address);
+      continue;
+    }
+
+    // Numbered file names keep the wallet order of pk.txt
+    index++;
+    const file = path.join(dir, `${String(index).padStart(3, '0')}-${wallet.address}.json`);
+    await fs.writeFile(file, await wallet.encrypt(password), { encoding: 'utf8', mode: 0o600 });
+
+    existing.add(wallet.address);
+    created.push(wallet.address);
+  }
+
+  return { created, skipped };
+}
+
+module.exports = {
+  getPassword,
+  listKeystores,
+  loadKeystores,
+  importPrivateKeys
+};
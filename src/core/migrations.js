@@ -0,0 +1,106 @@
+// Config file migrations between schema versions
+const _ = require('lodash');
+const constants = require('../utils/constants');
+const { ConfigError } = require('./schema');
+
+// Files written before schema_version existed
+const LEGACY_VERSION = '1.0';
+
+/**
+ * Ordered migration steps, each upgrading a config from one schema version to the next.
+ * A step edits the config in place and reports every change through note.
+ */
+const MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '2.0',
+    migrate(config, note) {
+      if (_.has(config, 'randomization.enable')) {
+        if (!_.has(config, 'randomization.enabled')) {
+          config.randomization.enabled = config.randomization.enable;
+          note('renamed randomization.enable to randomization.enabled');
+        } else {
+          note('removed randomization.enable, randomization.enabled is already set');
+        }
+        delete config.randomization.enable;
+      }
+
+      if (_.has(config, 'delay')) {
+        if (!_.has(config, 'general.delay')) {
+          _.set(config, 'general.delay', config.delay);
+          note('moved delay to general.delay');
+        } else {
+          note('removed delay, general.delay is already set and took precedence');
+        }
+        delete config.delay;
+      }
+    }
+  }
+];
+
+/**
+ * Compare two "major.minor" versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const [aMajor, aMinor = 0] = a.split('.').map(Number);
+  const [bMajor, bMinor = 0] = b.split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * Upgrade a parsed config file to the current schema version
+ * The input is left untouched, the migrated copy carries schema_version
+ * @param {Object} config - Parsed config file
+ * @param {string} file - File the config was read from, for errors
+ * @returns {Object} { config, from, to, changes } where changes lists what was done
+ */
+function migrate(config, file = 'config.json') {
+  const current = constants.VERSION.CONFIG_SCHEMA;
+  
+  // JSON.parse accepts any value, only an object has settings to migrate
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    const found = config === null ? 'null' : Array.isArray(config) ? 'an array' : typeof config;
+    throw new ConfigError(file, [`must contain a JSON object, got ${found}`]);
+  }
+  
+  const from = config.schema_version === undefined ? LEGACY_VERSION : config.schema_version;
+
+  if (typeof from !== 'string' || !/^\d+\.\d+$/.test(from)) {
+    throw new Error(`schema_version must be a version string such as "${current}", got ${JSON.stringify(from)}`);
+  }
+  if (compareVersions(from, current) > 0) {
+    throw new Error(`schema_version ${from} is newer than ${current}, the latest this version of the tool understands`);
+  }
+
+  const migrated = _.cloneDeep(config);
+  const changes = [];
+  let version = from;
+
+  for (const step of MIGRATIONS) {
+    if (step.from !== version) continue;
+
+    step.migrate(migrated, change => changes.push(`${step.from} -> ${step.to}: ${change}`));
+    version = step.to;
+  }
+
+  if (version !== current) {
+    throw new Error(`No migration from schema_version ${version} to ${current}`);
+  }
+
+  if (migrated.schema_version !== current) {
+    // Keep schema_version as the first key so it is easy to spot
+    const { schema_version: previous, ...rest } = migrated;
+    changes.push(previous === undefined ? `set schema_version to ${current}` : `updated schema_version from ${previous} to ${current}`);
+    return { config: { schema_version: current, ...rest }, from, to: current, changes };
+  }
+
+  return { config: migrated, from, to: current, changes };
+}
+
+module.exports = {
+  migrate,
+  compareVersions
+};
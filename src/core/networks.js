@@ -0,0 +1,93 @@
+// Network registry
+const _ = require('lodash');
+const config = require('./config');
+
+// Built-in networks, each can be overridden or extended in the networks section of config
+const BUILT_IN_NETWORKS = config.getDefaults().networks;
+
+/**
+ * NetworkRegistry class
+ * Resolves network definitions by name from built-ins and config
+ */
+class NetworkRegistry {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Get raw network definitions keyed by name
+   * @returns {Object} Network definitions
+   */
+  getDefinitions() {
+    const configured = this.config.get ?
+      this.config.get('networks', {}) :
+      (this.config.networks || {});
+
+    // Lists such as rpc_urls replace the built-in value instead of merging by index
+    return _.mergeWith({}, BUILT_IN_NETWORKS, configured, (objValue, srcValue) =>
+      Array.isArray(srcValue) ? srcValue : undefined);
+  }
+
+  /**
+   * Get all known network names
+   * @returns {string[]}
+   */
+  names() {
+    return Object.keys(this.getDefinitions());
+  }
+
+  /**
+   * Check whether a network is defined
+   * @param {string} name - Network name
+   * @returns {boolean}
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.getDefinitions(), name);
+  }
+
+  /**
+   * Get the network operations run on unless they pick their own
+   * @returns {string} Network name
+   */
+  getDefaultName() {
+    return (this.config.get && this.config.get('general.network')) || config.getDefault('general.network');
+  }
+
+  /**
+   * Get a normalized network definition
+   * @param {string} name - Network name
+   * @returns {Object} Network definition
+   */
+  get(name = this.getDefaultName()) {
+    const definitions = this.getDefinitions();
+    const definition = definitions[name];
+
+    if (!definition) {
+      throw new Error(`Unknown network "${name}". Known networks: ${Object.keys(definitions).join(', ')}`);
+    }
+
+    const chainId = Number(definition.chain_id);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error(`Network "${name}" has an invalid chain_id`);
+    }
+
+    const rpcUrls = Array.isArray(definition.rpc_urls) ? definition.rpc_urls : [definition.rpc_urls].filter(Boolean);
+    if (rpcUrls.length === 0) {
+      throw new Error(`Network "${name}" has no rpc_urls`);
+    }
+
+    return {
+      key: name,
+      label: definition.label || name.charAt(0).toUpperCase() + name.slice(1),
+      name: definition.name || name,
+      chainId,
+      rpcUrls,
+      explorerUrl: (definition.explorer_url || '').replace(/\/$/, ''),
+      currencySymbol: definition.currency_symbol || 'ETH',
+      opStack: definition.op_stack === true,
+      bridge: definition.bridge || {}
+    };
+  }
+}
+
+module.exports = NetworkRegistry;
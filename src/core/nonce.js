@@ -0,0 +1,153 @@
+// Nonce management per wallet and network
+const managers = new Map();
+
+// Errors raised before a transaction could enter the mempool, leaving its nonce unused
+const REJECTION_CODES = ['INSUFFICIENT_FUNDS', 'CALL_EXCEPTION', 'INVALID_ARGUMENT'];
+
+/**
+ * NonceManager class
+ * Hands out nonces for a single address on a single network, re-using
+ * nonces whose broadcast failed so no gaps are left behind
+ */
+class NonceManager {
+  constructor(address, network, provider) {
+    this.address = address;
+    this.network = network;
+    this.provider = provider;
+    this.nextNonce = null;
+    this.released = [];
+    this.pendingResync = null;
+  }
+
+  /**
+   * Get the shared manager for a wallet on a network
+   * @param {string} address - Wallet address
+   * @param {string} network - Network name
+   * @param {Object} provider - Provider used to read the pending nonce
+   * @returns {NonceManager}
+   */
+  static get(address, network, provider) {
+    const key = `${network}:${address.toLowerCase()}`;
+
+    if (!managers.has(key)) {
+      managers.set(key, new NonceManager(address, network, provider));
+    } else {
+      managers.get(key).setProvider(provider);
+    }
+
+    return managers.get(key);
+  }
+
+  /**
+   * Check whether an error means the nonce was already used on chain
+   * @param {Error} error - Error thrown by a broadcast
+   * @returns {boolean}
+   */
+  static isNonceError(error) {
+    if (!error) return false;
+    if (error.code === 'NONCE_EXPIRED') return true;
+
+    const message = (error.message || '').toLowerCase();
+    return message.includes('nonce too low') || message.includes('nonce has already been used');
+  }
+
+  /**
+   * Check whether an error proves the node refused the transaction, so its nonce is still free.
+   * Timeouts and dropped connections prove nothing, the transaction may have been broadcast
+   * @param {Error} error - Error thrown by a broadcast
+   * @returns {boolean}
+   */
+  static isRejectedError(error) {
+    if (!error) return false;
+
+    // The node already has the transaction, so its nonce is taken
+    const message = `${error.message || ''} ${(error.error && error.error.message) || ''}`.toLowerCase();
+    if (message.includes('already known') || message.includes('known transaction')) return false;
+
+    if (REJECTION_CODES.includes(error.code)) return true;
+
+    // A JSON-RPC error object is an answer from the node
+    return !!(error.error && Number.isInteger(error.error.code));
+  }
+
+  /**
+   * Update the provider, e.g. after a proxy change
+   * @param {Object} provider - New provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Read the next nonce from the pending transaction count
+   * @returns {Promise<number>} Next nonce
+   */
+  resync() {
+    // Concurrent callers share one request instead of each resetting the counter
+    if (!this.pendingResync) {
+      this.pendingResync = this.provider.getTransactionCount(this.address, 'pending')
+        .then((nonce) => {
+          this.nextNonce = nonce;
+          this.released = [];
+          return nonce;
+        })
+        .finally(() => {
+          this.pendingResync = null;
+        });
+    }
+
+    return this.pendingResync;
+  }
+
+  /**
+   * Reserve a nonce for a broadcast
+   * @returns {Promise<number>} Reserved nonce
+   */
+  async reserve() {
+    // Callers arriving while a fetch is in flight wait for it instead of starting another
+    if (this.nextNonce === null || this.pendingResync) {
+      await this.resync();
+    }
+
+    // Fill gaps left by failed broadcasts first
+    if (this.released.length > 0) {
+      return this.released.shift();
+    }
+
+    return this.nextNonce++;
+  }
+
+  /**
+   * Return a nonce whose broadcast failed
+   * @param {number} nonce - Nonce to release
+   */
+  release(nonce) {
+    if (this.nextNonce === null || nonce >= this.nextNonce) return;
+
+    if (nonce === this.nextNonce - 1) {
+      this.nextNonce--;
+
+      // Released nonces now at the top are no longer gaps
+      while (this.released[this.released.length - 1] === this.nextNonce - 1) {
+        this.released.pop();
+        this.nextNonce--;
+      }
+      return;
+    }
+
+    if (!this.released.includes(nonce)) {
+      this.released.push(nonce);
+      this.released.sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Forget the tracked nonce so the next reservation resyncs
+   */
+  reset() {
+    this.nextNonce = null;
+    this.released = [];
+  }
+}
+
+module.exports = NonceManager;
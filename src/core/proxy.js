@@ -7,35 +7,29 @@ const path = require('path');
 
 /**
  * Singleton ProxyManager class
- * Ensures only one instance of proxy management exists in the application
+ * Holds the shared proxy list and rotation, while each Blockchain instance keeps
+ * the proxy and agent it selected so rotating one wallet never moves another
  */
 class ProxyManager {
   constructor() {
     // Initialize with empty values - will be populated later
     this.proxies = [];
     this.config = {};
-    this.walletNum = null;
-    this.logger = logger.getInstance();
     this.currentProxyIndex = -1;
-    this.currentProxy = null;
-    this.agent = null;
     this.initialized = false;
   }
 
   /**
    * Initialize the proxy manager
    * @param {Object} config - Configuration object
-   * @param {number|null} walletNum - Wallet number for logging
    * @returns {Promise<boolean>} Success status
    */
-  async initialize(config = {}, walletNum = null) {
+  async initialize(config = {}) {
     if (this.initialized) {
       return true;
     }
 
     this.config = config;
-    this.walletNum = walletNum;
-    this.logger = logger.getInstance(walletNum);
 
     try {
       // Load proxies from file
@@ -45,9 +39,6 @@ class ProxyManager {
       if (this.isEnabled()) {
         if (this.proxies.length > 0) {
           this.logger.success(`Proxy support enabled with ${this.proxies.length} proxies available`);
-          
-          // Select initial proxy
-          this.selectNextProxy();
           return true;
         } else {
           this.logger.warn('Proxy support disabled because no proxies were found in data/proxy.txt');
@@ -127,92 +118,71 @@ class ProxyManager {
   }
   
   /**
-   * Select next proxy in rotation
+   * Take the next proxy in rotation, the caller keeps it for its own connections
    * @returns {string|null} Selected proxy or null if none available
    */
   selectNextProxy() {
     if (!this.isEnabled() || this.proxies.length === 0) {
-      this.currentProxy = null;
-      this.agent = null;
       return null;
     }
     
     // Move to next proxy in rotation
     this.currentProxyIndex = (this.currentProxyIndex + 1) % this.proxies.length;
-    this.currentProxy = this.proxies[this.currentProxyIndex];
-    
-    this.logger.info(`Selected proxy: ${this.currentProxy}`);
-    this.createAgent();
-    
-    return this.currentProxy;
+    return this.proxies[this.currentProxyIndex];
   }
   
   /**
-   * Select a random proxy
+   * Take a random proxy, the caller keeps it for its own connections
    * @returns {string|null} Selected proxy or null if none available
    */
   selectRandomProxy() {
     if (!this.isEnabled() || this.proxies.length === 0) {
-      this.currentProxy = null;
-      this.agent = null;
       return null;
     }
     
-    const randomIndex = Math.floor(Math.random() * this.proxies.length);
-    this.currentProxyIndex = randomIndex;
-    this.currentProxy = this.proxies[randomIndex];
-    
-    this.logger.info(`Selected random proxy: ${this.currentProxy}`);
-    this.createAgent();
-    
-    return this.currentProxy;
+    return this.proxies[Math.floor(Math.random() * this.proxies.length)];
   }
   
   /**
    * Create proxy agent based on proxy type
+   * @param {string} proxy - Proxy from the list
+   * @returns {Object|null} Proxy agent or null if it could not be created
    */
-  createAgent() {
-    if (!this.currentProxy) return;
+  createAgent(proxy) {
+    if (!proxy) return null;
     
     try {
       const proxyType = this.getType();
       
       if (proxyType === 'socks5') {
-        const socksUrl = this.currentProxy.startsWith('socks5://') ? 
-                         this.currentProxy : `socks5://${this.currentProxy}`;
-        this.agent = new SocksProxyAgent(socksUrl);
-        this.logger.info(`Created SOCKS5 proxy agent for ${this.currentProxy}`);
-      } else {
-        const httpUrl = this.currentProxy.startsWith('http://') || this.currentProxy.startsWith('https://') ? 
-                       this.currentProxy : `http://${this.currentProxy}`;
-        this.agent = new HttpsProxyAgent(httpUrl);
-        this.logger.info(`Created HTTP proxy agent for ${this.currentProxy}`);
+        const socksUrl = proxy.startsWith('socks5://') ? 
+                         proxy : `socks5://${proxy}`;
+        this.logger.info(`Created SOCKS5 proxy agent for ${proxy}`);
+        return new SocksProxyAgent(socksUrl);
       }
+      
+      const httpUrl = proxy.startsWith('http://') || proxy.startsWith('https://') ? 
+                     proxy : `http://${proxy}`;
+      this.logger.info(`Created HTTP proxy agent for ${proxy}`);
+      return new HttpsProxyAgent(httpUrl);
     } catch (error) {
       this.logger.error(`Error creating proxy agent: ${error.message}`);
-      this.agent = null;
+      return null;
     }
   }
   
-  /**
-   * Get HTTP(S) proxy agent
-   * @returns {Object|null} Proxy agent
-   */
-  getAgent() {
-    return this.isEnabled() ? this.agent : null;
-  }
-  
   /**
    * Get proxy headers for authentication
+   * @param {string} proxy - Proxy in use
    * @returns {Object} Headers
    */
-  getHeaders() {
-    if (!this.isEnabled() || !this.currentProxy) {
+  getHeaders(proxy) {
+    if (!this.isEnabled() || !proxy) {
       return {};
     }
     
     // Check if the proxy has auth (user:pass format)
-    const match = this.currentProxy.match(/(.*):(.*)@(.*)/);
+    const match = proxy.match(/(.*):(.*)@(.*)/);
     if (match) {
       const [_, username, password] = match;
       return {
@@ -225,26 +195,27 @@ class ProxyManager {
   
   /**
    * Get axios configuration for proxy
+   * @param {Object|null} agent - Agent of the proxy in use
    * @returns {Object} Axios config
    */
-  getAxiosConfig() {
-    if (!this.isEnabled() || !this.agent) {
+  getAxiosConfig(agent) {
+    if (!this.isEnabled() || !agent) {
       return {};
     }
     
     return {
-      httpsAgent: this.agent,
+      httpsAgent: agent,
       proxy: false // Important: set to false when using agent directly
     };
   }
   
   /**
-   * Update wallet number and logger
-   * @param {number} walletNum Wallet number
+   * Logger of the wallet currently running, resolved per call so concurrent
+   * wallets never share it
+   * @returns {Object} Logger instance
    */
-  setWalletNum(walletNum) {
-    this.walletNum = walletNum;
-    this.logger = logger.getInstance(walletNum);
+  get logger() {
+    return logger.getInstance();
   }
 }
 
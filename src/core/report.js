@@ -0,0 +1,234 @@
+// Balance report across wallets and networks
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+const Blockchain = require('./blockchain');
+const deployments = require('./deployments');
+const { formatTable } = require('./wallets');
+
+const ERC20_BALANCE_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+
+// Decimal places shown in the terminal table, CSV and JSON keep full precision
+const TABLE_DECIMALS = 6;
+
+/**
+ * Shorten an amount for the terminal table
+ * @param {string} amount - Decimal amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+  return Number(amount).toLocaleString('en-US', { maximumFractionDigits: TABLE_DECIMALS, useGrouping: false });
+}
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * BalanceReport class
+ * Reads ETH balances, nonces and deployed token balances for many wallets at once.
+ * Requests are sent concurrently through one provider per network, which groups
+ * them into JSON-RPC batches of rpc.batch_size.
+ */
+class BalanceReport {
+  constructor(config, networks) {
+    this.config = config;
+    this.networks = networks;
+    this.batchSize = config.get ?
+      config.getNumber('rpc.batch_size', constants.RPC.BATCH_SIZE) :
+      constants.RPC.BATCH_SIZE;
+
+    // Read-only, so no signing key is needed
+    this.blockchain = new Blockchain(null, config);
+    this.providers = new Map();
+  }
+
+  getProvider(network) {
+    if (!this.providers.has(network)) {
+      this.providers.set(network, this.blockchain.createProvider(network, undefined, {
+        batchMaxCount: this.batchSize
+      }));
+    }
+    return this.providers.get(network);
+  }
+
+  /**
+   * Read everything the report shows
+   * @param {Object[]} wallets - [{ walletNum, address, derivationIndex, label }]
+   * @returns {Promise<Object>} { generated_at, networks, wallets }
+   */
+  async collect(wallets) {
+    const networks = this.networks.map(network => {
+      const { key, label, currencySymbol } = this.blockchain.getNetwork(network);
+      return { key, label, currency: currencySymbol };
+    });
+    const allDeployments = await deployments.load();
+
+    const rows = await Promise.all(wallets.map(async wallet => {
+      const [balances, tokens] = await Promise.all([
+        Promise.all(networks.map(network => this.readAccount(network.key, wallet.address))),
+        Promise.all(deployments.getTokens(allDeployments, wallet.address).map(token => this.readToken(token, wallet.address)))
+      ]);
+
+      return {
+        wallet: wallet.walletNum,
+        address: wallet.address,
+        index: wallet.derivationIndex !== null && wallet.derivationIndex !== undefined ? wallet.derivationIndex : null,
+        label: wallet.label || null,
+        networks: Object.fromEntries(networks.map((network, i) => [network.key, balances[i]])),
+        tokens
+      };
+    }));
+
+    this.providers.forEach(provider => provider.destroy());
+    this.providers.clear();
+
+    return { generated_at: new Date().toISOString(), networks, wallets: rows };
+  }
+
+  async readAccount(network, address) {
+    const provider = this.getProvider(network);
+
+    try {
+      const [balance, nonce, pendingNonce] = await Promise.all([
+        provider.getBalance(address),
+        provider.getTransactionCount(address, 'latest'),
+        provider.getTransactionCount(address, 'pending')
+      ]);
+
+      return {
+        balance: ethers.formatEther(balance),
+        nonce,
+        pending: Math.max(0, pendingNonce - nonce)
+      };
+    } catch (error) {
+      return { error: error.shortMessage || error.message };
+    }
+  }
+
+  async readToken(token, address) {
+    const result = {
+      network: token.network,
+      address: token.address,
+      name: token.name,
+      symbol: token.symbol
+    };
+
+    try {
+      const contract = new ethers.Contract(token.address, ERC20_BALANCE_ABI, this.getProvider(token.network));
+      const balance = await contract.balanceOf(address);
+      return { ...result, balance: ethers.formatUnits(balance, token.decimals || 18) };
+    } catch (error) {
+      return { ...result, error: error.shortMessage || error.message };
+    }
+  }
+
+  /**
+   * Get every read that failed, for reporting next to the output
+   * @param {Object} report - Result of collect
+   * @returns {Object[]} [{ wallet, source, error }]
+   */
+  static getErrors(report) {
+    const errors = [];
+
+    for (const row of report.wallets) {
+      for (const [network, account] of Object.entries(row.networks)) {
+        if (account.error) errors.push({ wallet: row.wallet, source: network, error: account.error });
+      }
+      for (const token of row.tokens) {
+        if (token.error) errors.push({ wallet: row.wallet, source: `${token.symbol} ${token.address}`, error: token.error });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Format the report as a terminal table
+   * @param {Object} report - Result of collect
+   * @returns {string[]} Table lines
+   */
+  static toTable(report) {
+    const header = ['#', 'Address', 'Index', 'Label'];
+    report.networks.forEach(({ label, currency }) => {
+      header.push(`${label} ${currency}`, `${label} nonce`, `${label} pending`);
+    });
+    header.push('Tokens');
+
+    const rows = report.wallets.map(row => {
+      const cells = [
+        String(row.wallet),
+        row.address,
+        row.index !== null ? String(row.index) : '-',
+        row.label || '-'
+      ];
+
+      report.networks.forEach(({ key }) => {
+        const account = row.networks[key];
+        cells.push(...(account.error ?
+          ['error', '-', '-'] :
+          [formatAmount(account.balance), String(account.nonce), String(account.pending)]));
+      });
+
+      const tokens = row.tokens.map(token => `${token.error ? '?' : formatAmount(token.balance)} ${token.symbol}`);
+      cells.push(tokens.join(', ') || '-');
+
+      return cells;
+    });
+
+    return formatTable(header, rows);
+  }
+
+  /**
+   * Format the report as CSV, one line per wallet
+   * Tokens are listed in one cell as "SYMBOL=balance@network:address" separated by semicolons
+   * @param {Object} report - Result of collect
+   * @returns {string} CSV text
+   */
+  static toCsv(report) {
+    const header = ['wallet', 'address', 'index', 'label'];
+    report.networks.forEach(({ key }) => header.push(`${key}_balance`, `${key}_nonce`, `${key}_pending`));
+    header.push('tokens', 'errors');
+
+    const lines = report.wallets.map(row => {
+      const cells = [row.wallet, row.address, row.index, row.label];
+      const errors = [];
+
+      report.networks.forEach(({ key }) => {
+        const account = row.networks[key];
+        if (account.error) {
+          errors.push(`${key}: ${account.error}`);
+          cells.push('', '', '');
+        } else {
+          cells.push(account.balance, account.nonce, account.pending);
+        }
+      });
+
+      cells.push(row.tokens
+        .map(token => `${token.symbol}=${token.error ? '' : token.balance}@${token.network}:${token.address}`)
+        .join(';'));
+      row.tokens.filter(token => token.error).forEach(token => errors.push(`${token.symbol}: ${token.error}`));
+      cells.push(errors.join('; '));
+
+      return cells.map(csvCell).join(',');
+    });
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Format the report as JSON
+   * @param {Object} report - Result of collect
+   * @returns {string} JSON text
+   */
+  static toJson(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+  }
+}
+
+module.exports = BalanceReport;
@@ -0,0 +1,166 @@
+// Revert reason decoding for failed transactions and calls
+const { ethers } = require('ethers');
+
+// Selectors of the errors emitted by require()/revert() and assert()/checked arithmetic
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Solidity panic codes
+const PANIC_CODES = {
+  0x00: 'Generic compiler panic',
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Invalid storage byte array encoding',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory',
+  0x51: 'Call to an uninitialized function'
+};
+
+/**
+ * Format call or error arguments for log output
+ * @param {Array} args - Arguments
+ * @returns {string} Comma separated arguments
+ */
+function formatArgs(args = []) {
+  return Array.from(args).map(arg => {
+    if (typeof arg === 'bigint') return arg.toString();
+    if (Array.isArray(arg)) return `[${formatArgs(arg)}]`;
+    return String(arg);
+  }).join(', ');
+}
+
+/**
+ * Find raw revert data in an error, providers nest it at different depths
+ * @param {Error} error - Error thrown by a call, estimate or broadcast
+ * @returns {string|null} Hex revert data
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) return null;
+
+  const { data } = error;
+  if (typeof data === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(data)) return data;
+  if (data && typeof data.data === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(data.data)) return data.data;
+
+  for (const key of ['error', 'info', 'cause']) {
+    const found = findRevertData(error[key], depth + 1);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Decode revert data into a readable reason
+ * @param {string} data - Hex revert data
+ * @param {Array|Object} abi - Contract ABI used to decode custom errors
+ * @returns {Object|null} Decoded revert { type, reason, ... }
+ */
+function decodeRevertData(data, abi = null) {
+  if (!data || data === '0x') return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [message] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      return { type: 'revert', reason: message };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      const description = PANIC_CODES[Number(code)] || 'Unknown panic';
+      return { type: 'panic', code: Number(code), reason: `Panic 0x${code.toString(16).padStart(2, '0')}: ${description}` };
+    }
+  } catch (error) {
+    // Malformed payload, fall through to the custom error lookup
+  }
+
+  if (abi) {
+    try {
+      const iface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        const errorArgs = parsed.args.toArray();
+        return {
+          type: 'custom',
+          name: parsed.name,
+          errorArgs,
+          reason: `${parsed.name}(${formatArgs(errorArgs)})`
+        };
+      }
+    } catch (error) {
+      // Not an error declared in this ABI
+    }
+  }
+
+  return { type: 'unknown', reason: `Unknown custom error ${selector}` };
+}
+
+/**
+ * Check whether an error is a contract revert rather than a transport or wallet failure
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isRevertError(error) {
+  return !!error && (error.code === 'CALL_EXCEPTION' || findRevertData(error) !== null);
+}
+
+/**
+ * Decode the revert behind an error
+ * @param {Error} error - Error thrown by a call, estimate or broadcast
+ * @param {Array|Object} abi - Contract ABI used to decode custom errors
+ * @returns {Object|null} Decoded revert, null when the error is not a revert
+ */
+function decodeError(error, abi = null) {
+  if (!isRevertError(error)) return null;
+
+  const decoded = decodeRevertData(findRevertData(error), abi);
+  if (decoded) return decoded;
+
+  return { type: 'unknown', reason: error.reason || 'Transaction reverted without a reason' };
+}
+
+/**
+ * Recover the revert reason of a mined transaction with status 0 by replaying it
+ * @param {Object} provider - Provider to replay the call on
+ * @param {Object} tx - Reverted transaction
+ * @param {Object} receipt - Receipt with status 0
+ * @param {Array|Object} abi - Contract ABI used to decode custom errors
+ * @returns {Promise<Object>} Decoded revert
+ */
+async function decodeReceipt(provider, tx, receipt, abi = null) {
+  // Receipts carry no revert data, so re-run the call against the parent block
+  try {
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+      blockTag: Math.max(receipt.blockNumber - 1, 0)
+    });
+  } catch (error) {
+    const decoded = decodeError(error, abi);
+    if (decoded) return decoded;
+  }
+
+  if (tx.gasLimit && receipt.gasUsed >= tx.gasLimit) {
+    return { type: 'out_of_gas', reason: `Out of gas (used ${receipt.gasUsed} of ${tx.gasLimit})` };
+  }
+
+  return { type: 'unknown', reason: 'Transaction reverted without a reason' };
+}
+
+module.exports = {
+  PANIC_CODES,
+  formatArgs,
+  findRevertData,
+  decodeRevertData,
+  isRevertError,
+  decodeError,
+  decodeReceipt
+};
@@ -0,0 +1,156 @@
+// RPC endpoint health tracking and failover
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+
+// Health stats shared by every provider using the same endpoint
+const endpointStats = new Map();
+
+function getStats(url) {
+  if (!endpointStats.has(url)) {
+    endpointStats.set(url, {
+      url,
+      latency: null,
+      failures: 0,
+      lastFailure: 0
+    });
+  }
+  return endpointStats.get(url);
+}
+
+/**
+ * Record a successful request against an endpoint
+ * @param {string} url - RPC URL
+ * @param {number} latency - Request duration in milliseconds
+ */
+function recordSuccess(url, latency) {
+  const stats = getStats(url);
+  stats.latency = stats.latency === null ? latency : Math.round(stats.latency * 0.7 + latency * 0.3);
+  stats.failures = Math.max(0, stats.failures - 1);
+}
+
+/**
+ * Record a failed request against an endpoint
+ * @param {string} url - RPC URL
+ */
+function recordFailure(url) {
+  const stats = getStats(url);
+  stats.failures++;
+  stats.lastFailure = Date.now();
+}
+
+/**
+ * Order endpoints by health, healthiest first
+ * @param {string[]} urls - RPC URLs
+ * @returns {string[]} Ordered URLs
+ */
+function rankEndpoints(urls) {
+  const now = Date.now();
+  const cooldown = constants.RPC.COOLDOWN_SECONDS * 1000;
+
+  const score = url => {
+    const stats = getStats(url);
+    const coolingDown = stats.failures > 0 && now - stats.lastFailure < cooldown;
+
+    return (coolingDown ? Number.MAX_SAFE_INTEGER / 2 : 0) +
+      (stats.latency || 0) +
+      stats.failures * constants.RPC.FAILURE_PENALTY_MS;
+  };
+
+  return [...urls].sort((a, b) => score(a) - score(b));
+}
+
+/**
+ * Get health stats for endpoints
+ * @param {string[]} urls - RPC URLs
+ * @returns {Object[]} Stats per endpoint
+ */
+function getHealth(urls) {
+  return urls.map(url => ({ ...getStats(url) }));
+}
+
+// Transport failures worth retrying on another endpoint
+function isFailoverError(error) {
+  if (['TIMEOUT', 'NETWORK_ERROR'].includes(error.code)) return true;
+
+  const status = error.response && error.response.statusCode;
+  if (status === 429 || status >= 500) return true;
+
+  const message = error.message || '';
+  return ['ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'socket hang up']
+    .some(code => error.code === code || message.includes(code));
+}
+
+/**
+ * JSON-RPC provider that spreads requests over several endpoints,
+ * preferring the healthiest one and failing over on transport errors
+ */
+class FailoverProvider extends ethers.JsonRpcProvider {
+  constructor(urls, network, options = {}) {
+    const { timeoutSeconds, getAgent, onFailover, ...providerOptions } = options;
+
+    super(urls[0], network, providerOptions);
+
+    this.urls = urls;
+    this.timeoutSeconds = timeoutSeconds || constants.RPC.TIMEOUT_SECONDS;
+    this.getAgent = getAgent || null;
+    this.onFailover = onFailover || null;
+  }
+
+  createRequest(url) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = this.timeoutSeconds * 1000;
+
+    // Resolve the agent per request so proxy rotation applies immediately
+    const agent = this.getAgent ? this.getAgent() : null;
+    if (agent) {
+      request.getUrlFunc = ethers.FetchRequest.createGetUrlFunc({ agent });
+    }
+
+    return request;
+  }
+
+  async _send(payload) {
+    const urls = rankEndpoints(this.urls);
+    let lastError = null;
+
+    for (let i = 0; i < urls.length; i++) {
+      const url = urls[i];
+      const request = this.createRequest(url);
+      request.body = JSON.stringify(payload);
+      request.setHeader('content-type', 'application/json');
+
+      const startedAt = Date.now();
+
+      try {
+        const response = await request.send();
+        response.assertOk();
+
+        recordSuccess(url, Date.now() - startedAt);
+
+        let result = response.bodyJson;
+        if (!Array.isArray(result)) {
+          result = [result];
+        }
+        return result;
+      } catch (error) {
+        if (!isFailoverError(error)) throw error;
+
+        recordFailure(url);
+        lastError = error;
+
+        if (this.onFailover && i < urls.length - 1) {
+          this.onFailover(url, urls[i + 1], error);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+module.exports = {
+  FailoverProvider,
+  rankEndpoints,
+  getHealth,
+  isFailoverError
+};
@@ -0,0 +1,198 @@
+// Cycle scheduling by fixed interval or cron expression
+const constants = require('../utils/constants');
+
+// Allowed range of each cron field, in expression order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Stop searching for a matching minute after this long, e.g. for "0 0 31 2 *"
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} field - Field text such as "*", "1,15", "9-17" or "*\/10"
+ * @param {Object} range - { name, min, max }
+ * @returns {Object} { values: Set<number>, any: boolean }
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${part}"`);
+    }
+
+    const from = match[1] === '*' ? min : Number(match[2]);
+    const to = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : from));
+    const step = match[4] ? Number(match[4]) : 1;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Cron ${name} "${part}" is out of range ${min}-${max}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, any: field.startsWith('*') };
+}
+
+/**
+ * Parse a five field cron expression
+ * @param {string} expression - "minute hour day-of-month month day-of-week"
+ * @returns {Object} Parsed fields keyed by name
+ */
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, i) => parseField(field, CRON_FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Create a function reading wall clock fields of a date in a time zone
+ * @param {string} timezone - IANA time zone, empty for the system zone
+ * @returns {Function} date => { month, day, weekday, hour, minute }
+ */
+function createClock(timezone) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || undefined,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+  } catch (error) {
+    throw new Error(`general.schedule.timezone "${timezone}" is not a valid IANA time zone`);
+  }
+
+  return (date) => {
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+    return {
+      month: Number(parts.month),
+      day: Number(parts.day),
+      weekday: WEEKDAYS[parts.weekday],
+      hour: Number(parts.hour),
+      minute: Number(parts.minute)
+    };
+  };
+}
+
+/**
+ * Scheduler class
+ * Works out when the next cycle starts from general.schedule
+ */
+class Scheduler {
+  constructor(config = {}) {
+    const get = (path, defaultValue) => config.get ? config.get(`general.schedule.${path}`, defaultValue) : defaultValue;
+
+    this.intervalHours = Number(get('interval_hours', constants.SCHEDULE.INTERVAL_HOURS));
+    this.cronExpression = String(get('cron', '') || '').trim();
+    this.timezone = String(get('timezone', '') || '').trim();
+
+    if (this.cronExpression) {
+      this.cron = parseCron(this.cronExpression);
+      this.clock = createClock(this.timezone);
+    } else if (!(this.intervalHours > 0)) {
+      throw new Error('general.schedule.interval_hours must be a positive number');
+    }
+  }
+
+  /**
+   * Describe the schedule for log output
+   * @returns {string}
+   */
+  describe() {
+    if (this.cron) {
+      return `cron "${this.cronExpression}"${this.timezone ? ` (${this.timezone})` : ''}`;
+    }
+    return `every ${this.intervalHours} hour(s)`;
+  }
+
+  /**
+   * Format a run time in the schedule's time zone for log output
+   * @param {Date} date - Run time
+   * @returns {string}
+   */
+  formatTime(date) {
+    const formatted = date.toLocaleString('en-GB', { timeZone: this.timezone || undefined, hourCycle: 'h23' });
+    return this.timezone ? `${formatted} ${this.timezone}` : formatted;
+  }
+
+  /**
+   * Check whether a date falls on a minute the cron expression allows
+   * @param {Date} date - Date to check
+   * @returns {Object} { matches, hourMatches, minute }
+   */
+  matchCron(date) {
+    const { month, day, weekday, hour, minute } = this.clock(date);
+    const { dayOfMonth, dayOfWeek } = this.cron;
+
+    // Like cron, a restricted day-of-month and day-of-week match when either does
+    const dayMatches = this.cron.month.values.has(month) && (
+      dayOfMonth.any || dayOfWeek.any ?
+        dayOfMonth.values.has(day) && dayOfWeek.values.has(weekday) :
+        dayOfMonth.values.has(day) || dayOfWeek.values.has(weekday)
+    );
+    const hourMatches = dayMatches && this.cron.hour.values.has(hour);
+
+    return {
+      matches: hourMatches && this.cron.minute.values.has(minute),
+      hourMatches,
+      minute
+    };
+  }
+
+  /**
+   * Get the start of the next cycle
+   * @param {Date} from - End of the previous cycle
+   * @returns {Date} Next run time
+   */
+  getNextRun(from = new Date()) {
+    if (!this.cron) {
+      return new Date(from.getTime() + this.intervalHours * 3600 * 1000);
+    }
+
+    // Walk forward from the next whole minute, skipping to the next local hour when the
+    // current one cannot match. Stepping on absolute time keeps daylight saving changes
+    // from skipping or repeating a minute.
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setTime(date.getTime() + 60 * 1000);
+
+    const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 3600 * 1000;
+
+    while (date.getTime() < limit) {
+      const { matches, hourMatches, minute } = this.matchCron(date);
+      if (matches) return date;
+
+      date.setTime(date.getTime() + (hourMatches ? 1 : 60 - minute) * 60 * 1000);
+    }
+
+    throw new Error(`Cron expression "${this.cronExpression}" never matches`);
+  }
+}
+
+module.exports = Scheduler;
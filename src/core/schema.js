@@ -0,0 +1,380 @@
+// Declarative schema of config.json and its validator
+const constants = require('../utils/constants');
+
+// Node builders, each describes the value expected at one config path
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const boolean = () => ({ type: 'boolean' });
+const string = (options = {}) => ({ type: 'string', ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const anyOf = (...schemas) => ({ anyOf: schemas });
+
+// { min, max } pair where min may not exceed max
+const range = (options = {}) => object({ min: number(options), max: number(options) }, { range: ['min', 'max'] });
+const integerRange = (options = {}) => object({ min: integer(options), max: integer(options) }, { range: ['min', 'max'] });
+
+// ETH amount drawn at random, rounded to decimals
+const amount = () => object({
+  min: number({ exclusiveMin: 0 }),
+  max: number({ exclusiveMin: 0 }),
+  decimals: integer({ min: 0, max: 18 })
+}, { range: ['min', 'max'] });
+
+// Keys every operation accepts
+const operation = (properties = {}) => object({
+  enabled: boolean(),
+  network: string({ minLength: 1 }),
+  ...properties
+});
+
+const OPERATIONS = {
+  bridge: operation({
+    l1_network: string({ minLength: 1 }),
+    l2_network: string({ minLength: 1 }),
+    amount: amount(),
+    sepolia_to_chainbase: object({ enabled: boolean(), amount: amount() }),
+    chainbase_to_sepolia: object({ enabled: boolean(), amount: amount() }),
+    repeat_times: integer({ min: 1 })
+  }),
+  transfer: operation({
+    use_percentage: boolean(),
+    percentage: number({ exclusiveMin: 0, max: 100 }),
+    fixed_amount: amount(),
+    count: integerRange({ min: 1 }),
+    repeat_times: integer({ min: 1 })
+  }),
+  contract_deploy: operation({
+    interactions: object({
+      enabled: boolean(),
+      count: integerRange({ min: 1 }),
+      types: array(string({ enum: ['setValue', 'increment', 'decrement', 'reset', 'contribute'] }), { minItems: 1 })
+    })
+  }),
+  contract_testing: operation({
+    test_sequences: array(string({ enum: ['parameter_variation', 'stress_test', 'boundary_test'] }), { minItems: 1 }),
+    iterations: integerRange({ min: 1 })
+  }),
+  erc20: operation({
+    mint_amount: integerRange({ min: 1 }),
+    burn_percentage: number({ min: 0, max: 100 }),
+    decimals: integer({ min: 0, max: 18 })
+  }),
+  nft: operation({
+    mint_count: integerRange({ min: 1 }),
+    burn_percentage: number({ min: 0, max: 100 }),
+    supply: integerRange({ min: 1 })
+  }),
+  batch_operations: operation({
+    operations_per_batch: integerRange({ min: 1 })
+  }),
+  random_contract: operation({
+    max_gas: integer({ min: 21000 }),
+    repeat_times: integer({ min: 1 })
+  }),
+  random_token: operation({
+    max_gas: integer({ min: 21000 }),
+    supply: integerRange({ min: 1 }),
+    repeat_times: integer({ min: 1 })
+  })
+};
+
+const OPERATION_NAMES = Object.keys(OPERATIONS);
+
+const delay = () => object({
+  min_seconds: number({ min: 0 }),
+  max_seconds: number({ min: 0 })
+}, { range: ['min_seconds', 'max_seconds'] });
+
+const CONFIG_SCHEMA = object({
+  // Older versions are migrated before validation, so only the current one is valid here
+  schema_version: string({ enum: [constants.VERSION.CONFIG_SCHEMA] }),
+  operations: object(OPERATIONS),
+  general: object({
+    network: string({ minLength: 1 }),
+    concurrency: integer({ min: 1 }),
+    gas_price_multiplier: number({ exclusiveMin: 0 }),
+    fee_mode: string({ enum: ['legacy', 'eip1559', 'auto'] }),
+    eip1559_source: string({ enum: ['fee_history', 'fee_data'] }),
+    max_retries: integer({ min: 0 }),
+    base_wait_time: number({ min: 0 }),
+    delay: delay(),
+    confirmation: object({
+      timeout_seconds: number({ exclusiveMin: 0 }),
+      max_replacements: integer({ min: 0 }),
+      cancel_on_failure: boolean()
+    }),
+    simulation: object({ enabled: boolean() }),
+    schedule: object({
+      interval_hours: number({ exclusiveMin: 0 }),
+      cron: string(),
+      timezone: string()
+    }),
+    log_level: string({ enum: ['error', 'warn', 'info', 'debug'] })
+  }),
+  networks: object({}, {
+    additionalProperties: object({
+      chain_id: integer({ min: 1 }),
+      rpc_urls: anyOf(array(string({ minLength: 1 }), { minItems: 1 }), string({ minLength: 1 })),
+      explorer_url: string(),
+      currency_symbol: string({ minLength: 1 }),
+      label: string({ minLength: 1 }),
+      name: string({ minLength: 1 }),
+      op_stack: boolean(),
+      bridge: object({
+        inbox_address: string({ pattern: /^0x[0-9a-fA-F]{40}$/, patternName: 'an address' }),
+        deposit_function: string({ pattern: /^0x[0-9a-fA-F]{8}$/, patternName: 'a 4-byte selector' }),
+        outbox_address: string({ pattern: /^0x[0-9a-fA-F]{40}$/, patternName: 'an address' }),
+        withdrawal_function: string({ pattern: /^0x[0-9a-fA-F]{8}$/, patternName: 'a 4-byte selector' })
+      })
+    })
+  }),
+  rpc: object({
+    timeout_seconds: number({ exclusiveMin: 0 }),
+    batch_size: integer({ min: 1 }),
+    quorum: object({
+      enabled: boolean(),
+      size: integer({ min: 1 })
+    })
+  }),
+  budget: object({
+    enabled: boolean(),
+    per_wallet_eth: number({ min: 0 }),
+    per_cycle_eth: number({ min: 0 }),
+    per_operation_eth: object(Object.fromEntries(OPERATION_NAMES.map(name => [name, number({ min: 0 })])))
+  }),
+  keystore: object({
+    dir: string({ minLength: 1 }),
+    password_file: string()
+  }),
+  mnemonic: object({
+    enabled: boolean(),
+    phrase: string(),
+    encrypted_file: string(),
+    path: string({ pattern: /\{index\}/, patternName: 'a derivation path containing {index}' }),
+    start_index: integer({ min: 0 }),
+    count: integer({ min: 1 })
+  }),
+  proxy: object({
+    enabled: boolean(),
+    type: string({ enum: ['http', 'socks5'], ignoreCase: true }),
+    rotation: object({
+      enabled: boolean(),
+      per_operation: boolean()
+    })
+  }),
+  randomization: object({
+    enabled: boolean(),
+    excluded_operations: array(string({ enum: OPERATION_NAMES })),
+    operations_to_run: array(string({ enum: OPERATION_NAMES }))
+  })
+});
+
+/**
+ * Describe a value for error messages
+ * @param {*} value - Any JSON value
+ * @returns {string}
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  if (typeof value === 'string') return `string "${value}"`;
+  return `${typeof value} ${value}`;
+}
+
+/**
+ * Edit distance between two keys, used to suggest the key a typo meant
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number}
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function suggest(key, known) {
+  const closest = known
+    .map(candidate => ({ candidate, score: distance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score)[0];
+
+  return closest && closest.score <= Math.max(2, Math.floor(key.length / 4)) ? closest.candidate : null;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Dotted path of the value, for error messages
+ * @returns {Object[]} [{ path, message }], empty when valid
+ */
+function check(value, schema, path) {
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(option => check(value, option, path));
+    const match = results.find(errors => errors.length === 0);
+    if (match) return [];
+
+    // Report against the option of the matching type, or the first one
+    const typed = results.find((errors, i) => !errors.some(error => error.type === schema.anyOf[i].type));
+    return typed || results[0];
+  }
+
+  const fail = message => [{ path, message, type: schema.type }];
+
+  switch (schema.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : fail(`expected true or false, got ${describe(value)}`);
+
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail(`expected a number, got ${describe(value)}`);
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        return fail(`expected a whole number, got ${value}`);
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return fail(`must be at least ${schema.min}, got ${value}`);
+      }
+      if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+        return fail(`must be greater than ${schema.exclusiveMin}, got ${value}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return fail(`must be at most ${schema.max}, got ${value}`);
+      }
+      return [];
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return fail(`expected a string, got ${describe(value)}`);
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail('must not be empty');
+      }
+      if (schema.enum) {
+        const candidate = schema.ignoreCase ? value.toLowerCase() : value;
+        if (!schema.enum.includes(candidate)) {
+          const hint = suggest(value, schema.enum);
+          return fail(`must be one of ${schema.enum.join(', ')}, got "${value}"${hint ? ` (did you mean "${hint}"?)` : ''}`);
+        }
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return fail(`must be ${schema.patternName}, got "${value}"`);
+      }
+      return [];
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return fail(`expected a list, got ${describe(value)}`);
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(`must contain at least ${schema.minItems} item(s)`);
+      }
+      return value.flatMap((item, i) => check(item, schema.items, `${path}[${i}]`));
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(`expected an object, got ${describe(value)}`);
+      }
+
+      const known = Object.keys(schema.properties);
+      const errors = [];
+
+      for (const [key, child] of Object.entries(value)) {
+        if (schema.properties[key]) {
+          errors.push(...check(child, schema.properties[key], join(path, key)));
+        } else if (schema.additionalProperties) {
+          errors.push(...check(child, schema.additionalProperties, join(path, key)));
+        } else {
+          const hint = suggest(key, known);
+          errors.push({
+            path: join(path, key),
+            message: `unknown key${hint ? `, did you mean "${hint}"?` : `, expected one of ${known.join(', ')}`}`
+          });
+        }
+      }
+
+      // Ranges are only compared once both ends are valid numbers
+      if (schema.range && errors.length === 0) {
+        const [low, high] = schema.range;
+        if (typeof value[low] === 'number' && typeof value[high] === 'number' && value[low] > value[high]) {
+          errors.push({ path: join(path, low), message: `must not be greater than ${high} (${value[low]} > ${value[high]})` });
+        }
+      }
+
+      return errors;
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Validate a config object, which may be partial since every key is optional
+ * @param {Object} config - Parsed config.json or a per-wallet override
+ * @param {string} prefix - Path prepended to error paths
+ * @returns {string[]} Problems as "path: message", empty when valid
+ */
+function validate(config, prefix = '') {
+  return check(config, CONFIG_SCHEMA, prefix)
+    .map(({ path, message }) => `${path || '(root)'}: ${message}`);
+}
+
+/**
+ * Find the schema node describing a config path
+ * @param {string} path - Dotted config path such as "operations.nft.supply.min"
+ * @returns {Object|null} Schema node, or null for unknown paths
+ */
+function getSchemaNode(path) {
+  let node = CONFIG_SCHEMA;
+
+  for (const key of path.split('.')) {
+    if (!node || node.type !== 'object') return null;
+    node = node.properties[key] || node.additionalProperties || null;
+  }
+
+  // Paths accepting several types are described by their first one
+  return node && node.anyOf ? node.anyOf[0] : node;
+}
+
+/**
+ * Error for a config file that cannot be used, listing every problem found
+ */
+class ConfigError extends Error {
+  constructor(file, problems) {
+    super(`${file} is invalid (${problems.length} problem${problems.length === 1 ? '' : 's'}), refusing to start`);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  OPERATION_NAMES,
+  validate,
+  getSchemaNode,
+  ConfigError
+};
@@ -0,0 +1,67 @@
+// Assembly of Solidity sources from composable fragments
+
+/**
+ * Indent every non-empty line of a snippet
+ * @param {string} snippet - Solidity code
+ * @param {number} level - Indentation level, four spaces each
+ * @returns {string}
+ */
+function indent(snippet, level) {
+  const padding = '    '.repeat(level);
+  return snippet
+    .split('\n')
+    .map(line => line.trim() ? padding + line : '')
+    .join('\n');
+}
+
+/**
+ * Turn free text into a valid Solidity identifier
+ * @param {string} text - Name such as "Quantum Ledger"
+ * @returns {string} Identifier such as "QuantumLedger"
+ */
+function toIdentifier(text) {
+  const identifier = String(text).replace(/[^a-zA-Z0-9_]/g, '');
+  return /^[a-zA-Z_]/.test(identifier) ? identifier : `C${identifier}`;
+}
+
+/**
+ * Assemble a contract from fragments
+ * Each fragment may provide lists of state, events, modifiers, constructor statements
+ * and functions, which are merged section by section in fragment order
+ * @param {string} contractName - Solidity identifier of the contract
+ * @param {Object[]} fragments - [{ state, events, modifiers, constructor, functions }]
+ * @returns {string} Complete source with license and pragma
+ */
+function assembleContract(contractName, fragments) {
+  // Own properties only, every object inherits a constructor
+  const collect = section => fragments.flatMap(fragment =>
+    Object.prototype.hasOwnProperty.call(fragment, section) ? fragment[section] : []);
+
+  const blocks = [];
+  for (const section of ['state', 'events', 'modifiers']) {
+    const lines = collect(section);
+    if (lines.length > 0) blocks.push(indent(lines.join('\n'), 1));
+  }
+
+  const constructorBody = collect('constructor');
+  if (constructorBody.length > 0) {
+    blocks.push(indent(`constructor() {\n${indent(constructorBody.join('\n'), 1)}\n}`, 1));
+  }
+
+  collect('functions').forEach(fn => blocks.push(indent(fn, 1)));
+
+  return [
+    '// SPDX-License-Identifier: MIT',
+    'pragma solidity >=0.8.0 <0.9.0;',
+    '',
+    `contract ${contractName} {`,
+    blocks.join('\n\n'),
+    '}',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  assembleContract,
+  toIdentifier
+};
@@ -0,0 +1,70 @@
+// Persisted run state shared across restarts
+const fs = require('fs').promises;
+const path = require('path');
+const _ = require('lodash');
+const constants = require('../utils/constants');
+
+/**
+ * StateStore class
+ * Small JSON document on disk, written atomically so a crash never leaves it half written
+ */
+class StateStore {
+  constructor() {
+    this.file = constants.SCHEDULE.STATE_FILE;
+    this.state = {};
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Read the state file, a missing file means empty state
+   * @param {string} file - State file path
+   * @returns {Promise<Object>} State
+   */
+  async load(file = this.file) {
+    this.file = file;
+
+    try {
+      this.state = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unable to read state file ${file}: ${error.message}`);
+      }
+      this.state = {};
+    }
+
+    return this.state;
+  }
+
+  get(key, defaultValue) {
+    return _.get(this.state, key, defaultValue);
+  }
+
+  set(key, value) {
+    _.set(this.state, key, value);
+    return this;
+  }
+
+  unset(key) {
+    _.unset(this.state, key);
+    return this;
+  }
+
+  /**
+   * Write the state file, queued behind earlier writes since concurrent wallets save independently
+   * @returns {Promise<void>}
+   */
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+      const tmpFile = `${this.file}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(this.state, null, 2), 'utf8');
+      await fs.rename(tmpFile, this.file);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new StateStore();
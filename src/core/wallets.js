@@ -0,0 +1,210 @@
+// Wallet list validation and preview
+const fs = require('fs').promises;
+const _ = require('lodash');
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+const { validate, ConfigError } = require('./schema');
+
+/**
+ * Parse pk.txt content, validating every key
+ * Blank lines and # comments are ignored, invalid lines are reported and skipped
+ * @param {string} content - File content
+ * @returns {Object} { entries: [{ privateKey, address, line }], errors: [{ line, message }] }
+ */
+function parsePrivateKeys(content) {
+  const entries = [];
+  const errors = [];
+
+  content.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = i + 1;
+    const value = rawLine.replace(/#.*$/, '').trim();
+    if (!value) return;
+
+    const privateKey = value.startsWith('0x') ? value : `0x${value}`;
+
+    if (!/^0x[0-9a-fA-F]{64}$/.test(privateKey)) {
+      errors.push({ line, message: 'expected 64 hex characters' });
+      return;
+    }
+
+    try {
+      const address = ethers.computeAddress(new ethers.SigningKey(privateKey).publicKey);
+      entries.push({ privateKey, address, line });
+    } catch (error) {
+      errors.push({ line, message: 'not a valid secp256k1 private key' });
+    }
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Drop wallets whose address was already seen, keeping the first occurrence
+ * @param {Object[]} entries - Wallet entries with an address and source
+ * @returns {Object} { unique, duplicates: [{ entry, firstSource }] }
+ */
+function dedupeWallets(entries) {
+  const seen = new Map();
+  const unique = [];
+  const duplicates = [];
+
+  for (const entry of entries) {
+    const key = entry.address.toLowerCase();
+
+    if (seen.has(key)) {
+      duplicates.push({ entry, firstSource: seen.get(key).source });
+      continue;
+    }
+
+    seen.set(key, entry);
+    unique.push(entry);
+  }
+
+  return { unique, duplicates };
+}
+
+/**
+ * Load per-wallet labels and config overrides
+ * Keys are addresses or indexes: the derivation index for mnemonic wallets,
+ * the position in the wallet list (starting at 1) otherwise
+ * @param {string} file - Path to wallets.json
+ * @returns {Promise<Object>} Overrides keyed by lowercase address or index
+ */
+async function loadWalletOverrides(file = constants.WALLET_OVERRIDES.FILE) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+
+  const parsed = JSON.parse(content);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${file} must contain an object keyed by address or index`);
+  }
+
+  const overrides = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    const isAddress = ethers.isAddress(key);
+    if (!isAddress && !/^\d+$/.test(key)) {
+      throw new Error(`${file}: "${key}" is neither an address nor an index`);
+    }
+    if (!value || typeof value !== 'object') {
+      throw new Error(`${file}: entry "${key}" must be an object with label and/or config`);
+    }
+    if (value.label !== undefined && typeof value.label !== 'string') {
+      throw new Error(`${file}: label of "${key}" must be a string`);
+    }
+    if (value.config !== undefined) {
+      const problems = validate(value.config, `${key}.config`);
+      if (problems.length > 0) {
+        throw new ConfigError(file, problems);
+      }
+    }
+
+    overrides[isAddress ? key.toLowerCase() : key] = value;
+  }
+
+  return overrides;
+}
+
+/**
+ * Resolve the label and config override for a wallet
+ * Index entries apply first, address entries are more specific and win
+ * @param {Object} overrides - Result of loadWalletOverrides
+ * @param {Object} entry - Wallet entry
+ * @param {number} walletNum - Position in the wallet list, starting at 1
+ * @returns {Object} { label, config } where config is null without overrides
+ */
+function resolveWalletOverrides(overrides, entry, walletNum) {
+  const index = entry.derivationIndex !== null && entry.derivationIndex !== undefined ?
+    entry.derivationIndex :
+    walletNum;
+
+  const matches = [overrides[String(index)], overrides[entry.address.toLowerCase()]].filter(Boolean);
+
+  return matches.reduce((resolved, match) => ({
+    label: match.label || resolved.label,
+    config: match.config ?
+      _.mergeWith({}, resolved.config, match.config, (objValue, srcValue) => Array.isArray(srcValue) ? srcValue : undefined) :
+      resolved.config
+  }), { label: null, config: null });
+}
+
+/**
+ * Format rows as a plain text table with aligned columns
+ * @param {string[]} header - Column titles
+ * @param {string[][]} rows - Cell values
+ * @returns {string[]} Table lines
+ */
+function formatTable(header, rows) {
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const format = row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  return [
+    format(header),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(format)
+  ];
+}
+
+/**
+ * Format wallet entries as a table for the startup preview
+ * @param {Object[]} entries - Wallet entries
+ * @returns {string[]} Table lines
+ */
+function formatAddressTable(entries) {
+  const rows = entries.map((entry, i) => [
+    String(i + 1),
+    entry.address,
+    entry.derivationIndex !== null && entry.derivationIndex !== undefined ? String(entry.derivationIndex) : '-',
+    entry.label || '-',
+    entry.source || '-'
+  ]);
+
+  return formatTable(['#', 'Address', 'Index', 'Label', 'Source'], rows);
+}
+
+/**
+ * Parse a wallet selection such as "1,3-5" into wallet numbers
+ * @param {string} spec - Comma separated numbers and ranges, starting at 1
+ * @param {number} total - Number of loaded wallets
+ * @returns {number[]} Sorted wallet numbers without duplicates
+ */
+function parseWalletSelection(spec, total) {
+  const selected = new Set();
+
+  for (const part of String(spec).split(',').map(value => value.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid wallet selection "${part}", expected numbers or ranges like 1,3-5`);
+    }
+
+    const from = Number(match[1]);
+    const to = match[2] !== undefined ? Number(match[2]) : from;
+    if (from < 1 || to < from || to > total) {
+      throw new Error(`Wallet selection "${part}" is out of range, ${total} wallet(s) loaded`);
+    }
+
+    for (let num = from; num <= to; num++) {
+      selected.add(num);
+    }
+  }
+
+  if (selected.size === 0) {
+    throw new Error('Wallet selection is empty');
+  }
+
+  return [...selected].sort((a, b) => a - b);
+}
+
+module.exports = {
+  parsePrivateKeys,
+  dedupeWallets,
+  loadWalletOverrides,
+  resolveWalletOverrides,
+  formatTable,
+  formatAddressTable,
+  parseWalletSelection
+};
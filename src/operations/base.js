@@ -1,4 +1,5 @@
 // Base class for all blockchain operations
+const _ = require('lodash');
 const Blockchain = require('../core/blockchain');
 const config = require('../core/config');
 const logger = require('../utils/logger');
@@ -8,7 +9,9 @@ const { randomDelay } = require('../utils/delay');
 class BaseOperation {
   constructor(blockchainOrPrivateKey, configObj = {}, operationName = null) {
     this.operationName = operationName;
-    this.defaultConfig = {};
+    
+    // Defaults of operations.<name>, the same ones the loaded config is merged over
+    this.defaultConfig = operationName ? config.getDefault(`operations.${operationName}`, {}) : {};
     
     // Initialize blockchain manager from instance or create new one
     if (blockchainOrPrivateKey && typeof blockchainOrPrivateKey === 'object' && blockchainOrPrivateKey.constructor.name === 'Blockchain') {
@@ -24,6 +27,9 @@ class BaseOperation {
     // Set configuration
     this.config = configObj;
     
+    // Network from operations.<name>.network, falling back to general.network
+    this.network = this.getNetworkName();
+    
     // Use shared logger instance
     this.logger = this.walletNum !== null ? logger.getInstance(this.walletNum) : logger.getInstance();
   }
@@ -34,6 +40,18 @@ class BaseOperation {
     this.logger = logger.getInstance(num);
   }
   
+  getNetworkName() {
+    const configured = this.operationName && this.config.get ? 
+      this.config.get(`operations.${this.operationName}.network`) : 
+      null;
+    
+    return configured || (this.blockchain ? this.blockchain.network : 'chainbase');
+  }
+  
+  getExplorerUrl() {
+    return this.blockchain.getExplorerUrl(this.network);
+  }
+  
   isEnabled() {
     if (!this.operationName) return true;
     
@@ -42,11 +60,27 @@ class BaseOperation {
       this.config.get(`operations.${this.operationName}.enabled`, false) === true;
   }
   
+  // Random whole number from the operations.<name>.<property> range
+  getRandomInRange(property) {
+    if (this.config.getRandomInRange) {
+      return this.config.getRandomInRange(this.operationName, property);
+    }
+    
+    const range = _.get(this.config, `operations.${this.operationName}.${property}`) || _.get(this.defaultConfig, property);
+    return Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
+  }
+  
+  getRepeatTimes() {
+    return this.config.getRepeatTimes ? 
+      this.config.getRepeatTimes(this.operationName) : 
+      (_.get(this.config, `operations.${this.operationName}.repeat_times`) || this.defaultConfig.repeat_times || 1);
+  }
+  
   getDelayConfig() {
     return this.config.getDelayConfig ? 
       this.config.getDelayConfig() : 
       (this.config.general && this.config.general.delay) || 
-      { min_seconds: 5, max_seconds: 30 };
+      config.getDefault('general.delay');
   }
   
   async addDelay(message) {
@@ -63,12 +97,12 @@ class BaseOperation {
     
     try {
       // Reset blockchain manager nonce if available
-      if (this.blockchain) this.blockchain.resetNonce();
+      if (this.blockchain) this.blockchain.resetNonce(this.network);
       
       // Log proxy status if enabled
       if (proxyManager.isEnabled()) {
-        if (proxyManager.currentProxy) {
-          this.logger.info(`Using proxy for ${this.operationName} operations: ${proxyManager.currentProxy}`);
+        if (this.blockchain && this.blockchain.proxy) {
+          this.logger.info(`Using proxy for ${this.operationName} operations: ${this.blockchain.proxy}`);
         } else {
           this.logger.warn(`Proxy support enabled for ${this.operationName} but no proxy selected`);
         }
@@ -5,23 +5,11 @@ const ContractManager = require('../core/contract');
 
 class Batch extends BaseOperation {
   constructor(privateKey, configObj = {}) {
-    // Default configuration
-    const defaultConfig = {
-      enabled: true,
-      operations_per_batch: {
-        min: 2,
-        max: 5
-      }
-    };
-    
     // Initialize base class
     super(privateKey, configObj, 'batch_operations');
     
-    // Set default config
-    this.defaultConfig = defaultConfig;
-    
     // Initialize contract manager
-    this.contractManager = new ContractManager(this.blockchain, configObj);
+    this.contractManager = new ContractManager(this.blockchain, configObj, this.network);
   }
   
   getBatchProcessorSource() {
@@ -40,9 +28,7 @@ class Batch extends BaseOperation {
     ];
     
     // Determine batch size
-    const numOperations = this.config.get ? 
-      this.config.getRandomInRange('batch_operations', 'operations_per_batch', 2, 5) :
-      Math.floor(Math.random() * 4) + 2; // 2-5
+    const numOperations = this.getRandomInRange('operations_per_batch');
     
     this.logger.info(`Generating batch with ${numOperations} operations...`);
     
@@ -96,7 +82,7 @@ class Batch extends BaseOperation {
       
       this.logger.success(`Batch operation operations completed successfully!`);
       this.logger.success(`Batch processor: ${deployedContract.contractAddress}`);
-      this.logger.success(`View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+      this.logger.success(`View contract: ${this.getExplorerUrl()}/address/${deployedContract.contractAddress}`);
       
       return true;
     } catch (error) {
@@ -202,9 +188,14 @@ class Batch extends BaseOperation {
           success: true
         };
       } else {
-        this.logger.error(`Error executing batch operations: ${result.error}`);
+        if (result.skipped) {
+          this.logger.warn(`Batch execution skipped, it would revert: ${result.error}`);
+        } else {
+          this.logger.error(`Error executing batch operations: ${result.error}`);
+        }
         return {
           success: false,
+          skipped: result.skipped === true,
           error: result.error
         };
       }
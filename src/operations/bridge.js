@@ -4,51 +4,43 @@ const axios = require('axios');
 const constants = require('../utils/constants');
 const BaseOperation = require('./base');
 const proxyManager = require('../core/proxy');
+const shutdown = require('../utils/shutdown');
 
 class Bridge extends BaseOperation {
   constructor(blockchainOrPrivateKey, configObj = {}) {
-    // Default configuration
-    const defaultConfig = {
-      enabled: false,
-      amount: {
-        min: 0.0001,
-        max: 0.0004,
-        decimals: 7
-      },
-      sepolia_to_chainbase: {
-        enabled: true
-      },
-      chainbase_to_sepolia: {
-        enabled: true
-      },
-      repeat_times: 1
-    };
-    
     // Initialize base class
     super(blockchainOrPrivateKey, configObj, 'bridge');
     
-    // Set default config
-    this.defaultConfig = defaultConfig;
+    // Networks on each side of the bridge
+    this.l1Network = this.config.get ? 
+      this.config.getString('operations.bridge.l1_network', this.defaultConfig.l1_network) : 
+      (this.config.operations?.bridge?.l1_network || this.defaultConfig.l1_network);
+    this.l2Network = this.config.get ? 
+      this.config.getString('operations.bridge.l2_network', this.defaultConfig.l2_network) : 
+      (this.config.operations?.bridge?.l2_network || this.defaultConfig.l2_network);
   }
   
   async getBalances() {
     try {
-      const sepoliaBalanceData = await this.blockchain.getBalance('sepolia');
-      const chainbaseBalanceData = await this.blockchain.getBalance('chainbase');
+      const l1BalanceData = await this.blockchain.getBalance(this.l1Network);
+      const l2BalanceData = await this.blockchain.getBalance(this.l2Network);
+      
+      const l1 = this.blockchain.getNetwork(this.l1Network);
+      const l2 = this.blockchain.getNetwork(this.l2Network);
       
       this.logger.info(`💰 Current Balances:`);
-      this.logger.info(`  • Sepolia: ${sepoliaBalanceData.balanceInEth} ETH`);
-      this.logger.info(`  • Chainbase: ${chainbaseBalanceData.balanceInEth} ETH`);
+      this.logger.info(`  • ${l1.label}: ${l1BalanceData.balanceInEth} ${l1.currencySymbol}`);
+      this.logger.info(`  • ${l2.label}: ${l2BalanceData.balanceInEth} ${l2.currencySymbol}`);
       
       return { 
-        sepolia_balance: sepoliaBalanceData.balance, 
-        chainbase_balance: chainbaseBalanceData.balance
+        l1_balance: l1BalanceData.balance, 
+        l2_balance: l2BalanceData.balance
       };
     } catch (error) {
       this.logger.error(`Failed to get balances: ${error.message}`);
       return { 
-        sepolia_balance: '0', 
-        chainbase_balance: '0'
+        l1_balance: '0', 
+        l2_balance: '0'
       };
     }
   }
@@ -87,6 +79,22 @@ class Bridge extends BaseOperation {
     return { amount_eth, amount_wei };
   }
   
+  // Returns the cost estimate when the balance covers it, null otherwise
+  async coverTransactionCost(txObject, balance, network) {
+    // Value plus the full fee, including the L1 data fee on OP-stack networks
+    const cost = await this.blockchain.estimateTransactionCost(txObject, network);
+    const { label, currencySymbol } = this.blockchain.getNetwork(network);
+    
+    if (BigInt(balance) < BigInt(txObject.value) + cost.total) {
+      this.logger.error(`Insufficient ${label} balance to bridge ${ethers.formatEther(txObject.value)} ${currencySymbol} plus ${ethers.formatEther(cost.total)} ${currencySymbol} in fees`);
+      return null;
+    }
+    
+    // Send with the gas limit and fees the cost was estimated for
+    Object.assign(txObject, { gasLimit: cost.gasLimit }, cost.feeOverrides);
+    return cost;
+  }
+  
   async bridgeSepoliaToChainbase() {
     try {
       // Check if direction is enabled
@@ -94,8 +102,11 @@ class Bridge extends BaseOperation {
         this.config.getBoolean('operations.bridge.sepolia_to_chainbase.enabled', true) :
         (this.config.operations?.bridge?.sepolia_to_chainbase?.enabled ?? true);
       
+      const l1 = this.blockchain.getNetwork(this.l1Network);
+      const l2 = this.blockchain.getNetwork(this.l2Network);
+      
       if (!directionEnabled) {
-        this.logger.warn(`Sepolia to Chainbase bridge is disabled in config`);
+        this.logger.warn(`${l1.label} to ${l2.label} bridge is disabled in config`);
         return false;
       }
       
@@ -103,17 +114,17 @@ class Bridge extends BaseOperation {
       const { amount_eth, amount_wei } = this.generateRandomAmount('sepolia_to_chainbase');
       
       // Get initial balances
-      const { sepolia_balance, chainbase_balance } = await this.getBalances();
+      const { l1_balance, l2_balance } = await this.getBalances();
       
-      if (BigInt(sepolia_balance) < BigInt(amount_wei)) {
-        this.logger.error(`Insufficient Sepolia balance to bridge ${amount_eth} ETH`);
+      if (BigInt(l1_balance) < BigInt(amount_wei)) {
+        this.logger.error(`Insufficient ${l1.label} balance to bridge ${amount_eth} ${l1.currencySymbol}`);
         return false;
       }
       
-      this.logger.info(`🌉 Starting bridge of ${amount_eth} ETH from Sepolia to Chainbase...`);
+      this.logger.info(`🌉 Starting bridge of ${amount_eth} ${l1.currencySymbol} from ${l1.label} to ${l2.label}...`);
       
       // Add random delay
-      await this.addDelay("Sepolia to Chainbase bridge operation");
+      await this.addDelay(`${l1.label} to ${l2.label} bridge operation`);
       
       // Get bridge transaction details
       const bridgeDetails = await this.getBridgeTransactionDetails('sepolia_to_chainbase', amount_wei);
@@ -129,9 +140,14 @@ class Bridge extends BaseOperation {
         value: amount_wei,
         data: bridgeDetails.data
       };
+      
+      const cost = await this.coverTransactionCost(txObject, l1_balance, this.l1Network);
+      if (!cost) {
+        return false;
+      }
 
       // Send transaction
-      const result = await this.blockchain.sendTransaction(txObject, "Sepolia to Chainbase bridge", "sepolia");
+      const result = await this.blockchain.sendTransaction(txObject, `${l1.label} to ${l2.label} bridge`, this.l1Network, cost.total);
       
       if (!result.success) {
         this.logger.error(`Bridge transaction failed: ${result.error}`);
@@ -139,10 +155,10 @@ class Bridge extends BaseOperation {
       }
       
       this.logger.success(`Bridge transaction sent: ${result.txHash}`);
-      this.logger.success(`Track on Sepolia: ${constants.SEPOLIA.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logger.success(`Track on ${l1.label}: ${l1.explorerUrl}/tx/${result.txHash}`);
       
       // Wait for completion
-      return await this.waitForBridgeCompletion('sepolia_to_chainbase', chainbase_balance, amount_wei);
+      return await this.waitForBridgeCompletion('sepolia_to_chainbase', l2_balance, amount_wei);
       
     } catch (error) {
       this.logger.error(`Bridge transaction failed: ${error.message}`);
@@ -157,8 +173,11 @@ class Bridge extends BaseOperation {
         this.config.getBoolean('operations.bridge.chainbase_to_sepolia.enabled', true) :
         (this.config.operations?.bridge?.chainbase_to_sepolia?.enabled ?? true);
       
+      const l1 = this.blockchain.getNetwork(this.l1Network);
+      const l2 = this.blockchain.getNetwork(this.l2Network);
+      
       if (!directionEnabled) {
-        this.logger.warn(`Chainbase to Sepolia bridge is disabled in config`);
+        this.logger.warn(`${l2.label} to ${l1.label} bridge is disabled in config`);
         return false;
       }
       
@@ -166,17 +185,17 @@ class Bridge extends BaseOperation {
       const { amount_eth, amount_wei } = this.generateRandomAmount('chainbase_to_sepolia');
       
       // Get initial balances
-      const { sepolia_balance, chainbase_balance } = await this.getBalances();
+      const { l2_balance } = await this.getBalances();
       
-      if (BigInt(chainbase_balance) < BigInt(amount_wei)) {
-        this.logger.error(`Insufficient Chainbase balance to bridge ${amount_eth} ETH`);
+      if (BigInt(l2_balance) < BigInt(amount_wei)) {
+        this.logger.error(`Insufficient ${l2.label} balance to bridge ${amount_eth} ${l2.currencySymbol}`);
         return false;
       }
       
-      this.logger.info(`🌉 Starting bridge of ${amount_eth} ETH from Chainbase to Sepolia...`);
+      this.logger.info(`🌉 Starting bridge of ${amount_eth} ${l2.currencySymbol} from ${l2.label} to ${l1.label}...`);
       
       // Add random delay
-      await this.addDelay("Chainbase to Sepolia bridge operation");
+      await this.addDelay(`${l2.label} to ${l1.label} bridge operation`);
       
       // Get bridge transaction details
       const bridgeDetails = await this.getBridgeTransactionDetails('chainbase_to_sepolia', amount_wei);
@@ -192,9 +211,14 @@ class Bridge extends BaseOperation {
         value: amount_wei,
         data: bridgeDetails.data
       };
+      
+      const cost = await this.coverTransactionCost(txObject, l2_balance, this.l2Network);
+      if (!cost) {
+        return false;
+      }
 
       // Send transaction
-      const result = await this.blockchain.sendTransaction(txObject, "Chainbase to Sepolia bridge", "chainbase");
+      const result = await this.blockchain.sendTransaction(txObject, `${l2.label} to ${l1.label} bridge`, this.l2Network, cost.total);
       
       if (!result.success) {
         this.logger.error(`Bridge transaction failed: ${result.error}`);
@@ -202,10 +226,10 @@ class Bridge extends BaseOperation {
       }
       
       this.logger.success(`Bridge transaction sent: ${result.txHash}`);
-      this.logger.success(`Track on Chainbase: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logger.success(`Track on ${l2.label}: ${l2.explorerUrl}/tx/${result.txHash}`);
       
-      // For Chainbase to Sepolia, just need transaction confirmation
-      this.logger.info(`Chainbase to Sepolia bridge transaction confirmed. Funds will arrive on Sepolia in 30-60 minutes.`);
+      // For withdrawals, just need transaction confirmation
+      this.logger.info(`${l2.label} to ${l1.label} bridge transaction confirmed. Funds will arrive on ${l1.label} in 30-60 minutes.`);
       
       return true;
       
@@ -222,23 +246,15 @@ class Bridge extends BaseOperation {
                         constants.BRIDGE.SEPOLIA_TO_CHAINBASE : 
                         constants.BRIDGE.CHAINBASE_TO_SEPOLIA;
       
-      const fromChainId = isSepoliaToChainbase ? 
-                       constants.SEPOLIA.CHAIN_ID.toString() : 
-                       constants.NETWORK.CHAIN_ID.toString();
+      const fromNetwork = isSepoliaToChainbase ? this.l1Network : this.l2Network;
+      const toNetwork = isSepoliaToChainbase ? this.l2Network : this.l1Network;
       
-      const toChainId = isSepoliaToChainbase ? 
-                     constants.NETWORK.CHAIN_ID.toString() : 
-                     constants.SEPOLIA.CHAIN_ID.toString();
+      const fromChainId = this.blockchain.getNetwork(fromNetwork).chainId.toString();
+      const toChainId = this.blockchain.getNetwork(toNetwork).chainId.toString();
       
       // Get gas prices
-      let fromGasPrice, toGasPrice;
-      if (isSepoliaToChainbase) {
-        fromGasPrice = await this.blockchain.getGasPrice(0, 'sepolia');
-        toGasPrice = await this.blockchain.getGasPrice(0, 'chainbase');
-      } else {
-        fromGasPrice = await this.blockchain.getGasPrice(0, 'chainbase');
-        toGasPrice = await this.blockchain.getGasPrice(0, 'sepolia');
-      }
+      const fromGasPrice = await this.blockchain.getGasPrice(0, fromNetwork);
+      const toGasPrice = await this.blockchain.getGasPrice(0, toNetwork);
       
       // Create API request payload
       const payload = {
@@ -274,7 +290,7 @@ class Bridge extends BaseOperation {
       this.logger.info(`Calling bridge API to get transaction details...`);
       
       // Get proxy config for axios
-      const axiosConfig = proxyManager.getAxiosConfig();
+      const axiosConfig = proxyManager.getAxiosConfig(this.blockchain.agent);
       
       // Make API request
       const response = await axios.post(
@@ -325,7 +341,7 @@ class Bridge extends BaseOperation {
            error.message.includes('ECONNREFUSED') || error.message.includes('ECONNRESET'))) {
         
         this.logger.warn('Proxy error detected, trying to change proxy...');
-        proxyManager.selectNextProxy();
+        this.blockchain.changeProxy();
         
         // Retry once with new proxy
         try {
@@ -336,26 +352,34 @@ class Bridge extends BaseOperation {
         }
       }
       
-      // Fallback to hardcoded transaction details
+      // Fallback to the bridge contracts configured for each network
       if (direction === 'sepolia_to_chainbase') {
+        const l1 = this.blockchain.getNetwork(this.l1Network);
+        if (!l1.bridge.inbox_address) {
+          throw new Error(`Bridge API unavailable and networks.${this.l1Network}.bridge.inbox_address is not set`);
+        }
         const fallbackTx = {
           success: true,
-          to: constants.BRIDGE.SEPOLIA_TO_CHAINBASE.INBOX_ADDRESS,
-          data: constants.BRIDGE.SEPOLIA_TO_CHAINBASE.DEPOSIT_FUNCTION,
+          to: l1.bridge.inbox_address,
+          data: l1.bridge.deposit_function,
           value: amount.toString(),
-          chainId: constants.SEPOLIA.CHAIN_ID.toString()
+          chainId: l1.chainId.toString()
         };
-        this.logger.warn(`Falling back to hardcoded transaction details`);
+        this.logger.warn(`Falling back to configured bridge contract on ${l1.label}`);
         return fallbackTx;
       } else {
+        const l2 = this.blockchain.getNetwork(this.l2Network);
+        if (!l2.bridge.outbox_address) {
+          throw new Error(`Bridge API unavailable and networks.${this.l2Network}.bridge.outbox_address is not set`);
+        }
         const fallbackTx = {
           success: true,
-          to: constants.BRIDGE.CHAINBASE_TO_SEPOLIA.OUTBOX_ADDRESS,
-          data: constants.BRIDGE.CHAINBASE_TO_SEPOLIA.WITHDRAWAL_FUNCTION,
+          to: l2.bridge.outbox_address,
+          data: l2.bridge.withdrawal_function,
           value: amount.toString(),
-          chainId: constants.NETWORK.CHAIN_ID.toString()
+          chainId: l2.chainId.toString()
         };
-        this.logger.warn(`Falling back to hardcoded transaction details`);
+        this.logger.warn(`Falling back to configured bridge contract on ${l2.label}`);
         return fallbackTx;
       }
     }
@@ -368,7 +392,9 @@ class Bridge extends BaseOperation {
       return true;
     }
     
-    this.logger.info(`🔄 Monitoring Sepolia to Chainbase bridge progress...`);
+    const l2 = this.blockchain.getNetwork(this.l2Network);
+    
+    this.logger.info(`🔄 Monitoring ${this.blockchain.getNetwork(this.l1Network).label} to ${l2.label} bridge progress...`);
     
     const checkInterval = 30; // 30 seconds
     const maxChecks = 20;     // 10 minutes max
@@ -378,18 +404,21 @@ class Bridge extends BaseOperation {
     const initialBalanceBigInt = BigInt(initialBalance);
     
     while (checks < maxChecks) {
-      // Add delay between checks
-      await new Promise(resolve => setTimeout(resolve, checkInterval * 1000));
+      // Add delay between checks, a shutdown stops monitoring since the transaction is already sent
+      if (!await shutdown.sleep(checkInterval * 1000)) {
+        this.logger.warn(`Shutdown requested, no longer waiting for bridge completion`);
+        return true;
+      }
       
       try {
-        const currentBalanceData = await this.blockchain.getBalance('chainbase');
+        const currentBalanceData = await this.blockchain.getBalance(this.l2Network);
         const currentBalance = BigInt(currentBalanceData.balance);
         
         if (currentBalance > initialBalanceBigInt) {
           const balanceIncrease = currentBalance - initialBalanceBigInt;
           const increaseEth = ethers.formatEther(balanceIncrease);
           
-          this.logger.success(`Bridge completed! Received ${Number(increaseEth).toFixed(4)} ETH on Chainbase`);
+          this.logger.success(`Bridge completed! Received ${Number(increaseEth).toFixed(4)} ${l2.currencySymbol} on ${l2.label}`);
           return true;
         }
         
@@ -411,8 +440,8 @@ class Bridge extends BaseOperation {
   async executeOperations() {
     try {
       // Reset nonce tracking
-      this.blockchain.resetNonce('sepolia');
-      this.blockchain.resetNonce('chainbase');
+      this.blockchain.resetNonce(this.l1Network);
+      this.blockchain.resetNonce(this.l2Network);
       
       // Get bridge direction preferences
       const bridgeSepoliaToChainbase = this.config.get ? 
@@ -424,9 +453,7 @@ class Bridge extends BaseOperation {
         (this.config.operations?.bridge?.chainbase_to_sepolia?.enabled ?? true);
       
       // Get repeat count
-      const repeatTimes = this.config.get ? 
-        this.config.getRepeatTimes('bridge', 1) :
-        (this.config.operations?.bridge?.repeat_times || 1);
+      const repeatTimes = this.getRepeatTimes();
       
       // Determine directions to run
       const directions = [];
@@ -6,27 +6,11 @@ const ContractManager = require('../core/contract');
 
 class Contract extends BaseOperation {
   constructor(privateKey, configObj = {}) {
-    // Default configuration
-    const defaultConfig = {
-      enabled: true,
-      interactions: {
-        enabled: true,
-        count: {
-          min: 3,
-          max: 8
-        },
-        types: ["setValue", "increment", "decrement", "reset", "contribute"]
-      }
-    };
-    
     // Initialize base class
     super(privateKey, configObj, 'contract_deploy');
     
-    // Set default config
-    this.defaultConfig = defaultConfig;
-    
     // Initialize contract manager
-    this.contractManager = new ContractManager(this.blockchain, configObj);
+    this.contractManager = new ContractManager(this.blockchain, configObj, this.network);
   }
   
   async executeOperations() {
@@ -63,9 +47,7 @@ class Contract extends BaseOperation {
       }
       
       // Get interaction count
-      const interactionCount = this.config.get ? 
-        this.config.getRandomInRange('contract_deploy', 'interactions.count', 3, 8) :
-        Math.floor(Math.random() * 6) + 3; // 3-8
+      const interactionCount = this.getRandomInRange('interactions.count');
       
       // Get interaction types
       const interactionTypes = this.config.get ? 
@@ -3,28 +3,15 @@ const { ethers } = require('ethers');
 const constants = require('../utils/constants');
 const BaseOperation = require('./base');
 const Contract = require('../core/contract');
+const deployments = require('../core/deployments');
 
 class ERC20 extends BaseOperation {
   constructor(privateKey, configObj = {}) {
-    // Default configuration
-    const defaultConfig = {
-      enabled: true,
-      mint_amount: {
-        min: 1000000,
-        max: 10000000
-      },
-      burn_percentage: 10,
-      decimals: 18
-    };
-    
     // Initialize base class
     super(privateKey, configObj, 'erc20');
     
-    // Set default config
-    this.defaultConfig = defaultConfig;
-    
     // Initialize contract manager
-    this.contractManager = new Contract(this.blockchain, configObj);
+    this.contractManager = new Contract(this.blockchain, configObj, this.network);
   }
   
   generateRandomTokenName() {
@@ -80,10 +67,23 @@ class ERC20 extends BaseOperation {
         "ERC20 token"
       );
       
+      // Remember the token so the balance report can include it
+      try {
+        await deployments.record({
+          type: 'erc20',
+          network: this.network,
+          address: deployedContract.contractAddress,
+          owner: this.blockchain.address,
+          name: tokenName,
+          symbol,
+          decimals
+        });
+      } catch (error) {
+        this.logger.warn(`Unable to record token deployment: ${error.message}`);
+      }
+      
       // Determine mint amount
-      const mintAmount = this.config.get ? 
-        this.config.getRandomInRange('erc20', 'mint_amount', 1000000, 10000000) :
-        Math.floor(Math.random() * 9000000) + 1000000;
+      const mintAmount = this.getRandomInRange('mint_amount');
       
       this.logger.info(`Will mint ${mintAmount.toLocaleString()} tokens...`);
       
@@ -123,7 +123,7 @@ class ERC20 extends BaseOperation {
       this.logger.success(`ERC20 token operations completed!`);
       this.logger.success(`Contract address: ${deployedContract.contractAddress}`);
       this.logger.success(`Token: ${tokenName} (${symbol})`);
-      this.logger.success(`View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+      this.logger.success(`View contract: ${this.getExplorerUrl()}/address/${deployedContract.contractAddress}`);
       
       return true;
     } catch (error) {
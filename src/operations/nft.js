@@ -6,28 +6,11 @@ const ContractManager = require('../core/contract');
 
 class NFT extends BaseOperation {
   constructor(privateKey, configObj = {}) {
-    // Default configuration
-    const defaultConfig = {
-      enabled: true,
-      mint_count: {
-        min: 2,
-        max: 10
-      },
-      burn_percentage: 20,
-      supply: {
-        min: 100,
-        max: 1000
-      }
-    };
-    
     // Initialize base class
     super(privateKey, configObj, 'nft');
     
-    // Set default config
-    this.defaultConfig = defaultConfig;
-    
     // Initialize contract manager
-    this.contractManager = new ContractManager(this.blockchain, configObj);
+    this.contractManager = new ContractManager(this.blockchain, configObj, this.network);
   }
   
   generateRandomNFTName() {
@@ -87,9 +70,7 @@ class NFT extends BaseOperation {
       const symbol = this.generateRandomNFTSymbol(collectionName);
       
       // Generate supply
-      const supply = this.config.get ? 
-        this.config.getRandomInRange('nft', 'supply', 100, 1000) :
-        Math.floor(Math.random() * 900) + 100; // 100-1000
+      const supply = this.getRandomInRange('supply');
       
       this.logger.info(`NFT Collection: ${collectionName} (${symbol})`);
       this.logger.info(`Max Supply: ${supply}`);
@@ -121,7 +102,7 @@ class NFT extends BaseOperation {
       
       this.logger.success(`NFT operations completed successfully!`);
       this.logger.success(`Contract address: ${deployedContract.contractAddress}`);
-      this.logger.success(`View collection: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+      this.logger.success(`View collection: ${this.getExplorerUrl()}/address/${deployedContract.contractAddress}`);
       
       return true;
     } catch (error) {
@@ -132,9 +113,7 @@ class NFT extends BaseOperation {
   
   async mintNFTs(deployedContract, collectionName) {
     // Determine mint count
-    const mintCount = this.config.get ? 
-      this.config.getRandomInRange('nft', 'mint_count', 2, 10) :
-      Math.floor(Math.random() * 9) + 2; // 2-10
+    const mintCount = this.getRandomInRange('mint_count');
     
     this.logger.info(`Will mint ${mintCount} NFTs...`);
     
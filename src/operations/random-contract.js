@@ -0,0 +1,284 @@
+// Randomly assembled contract operations
+const _ = require('lodash');
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+const BaseOperation = require('./base');
+const ContractManager = require('../core/contract');
+const deployments = require('../core/deployments');
+const { assembleContract } = require('../core/solidity');
+
+// Contracts rejected for exceeding max_gas are replaced by smaller ones this many times
+const MAX_ATTEMPTS = 3;
+
+const MESSAGES = ['gm', 'hello chainbase', 'building onchain', 'wagmi', 'just testing', 'see you on mainnet'];
+
+const randomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+
+// Included in every contract, gives the other fragments an owner to check against
+const BASE_FRAGMENT = {
+  state: ['address public owner;'],
+  modifiers: [
+`modifier onlyOwner() {
+    require(msg.sender == owner, "Not owner");
+    _;
+}`
+  ],
+  constructor: ['owner = msg.sender;']
+};
+
+// Optional fragments, each with the calls used to interact with it once deployed
+const FRAGMENTS = [
+  {
+    name: 'counter',
+    state: ['uint256 public counter;'],
+    events: ['event CounterChanged(address indexed by, uint256 value);'],
+    functions: [
+`function increment(uint256 amount) public {
+    counter += amount;
+    emit CounterChanged(msg.sender, counter);
+}`,
+`function decrement() public {
+    require(counter > 0, "Counter is zero");
+    counter -= 1;
+    emit CounterChanged(msg.sender, counter);
+}`
+    ],
+    calls: [{ method: 'increment', args: () => [randomInt(1, 100)] }]
+  },
+  {
+    name: 'message',
+    state: ['string public message;'],
+    events: ['event MessageUpdated(address indexed author, string message);'],
+    functions: [
+`function setMessage(string memory newMessage) public {
+    message = newMessage;
+    emit MessageUpdated(msg.sender, newMessage);
+}`
+    ],
+    calls: [{ method: 'setMessage', args: () => [_.sample(MESSAGES)] }]
+  },
+  {
+    name: 'scores',
+    state: ['mapping(address => uint256) public bestScore;'],
+    events: ['event ScoreRecorded(address indexed player, uint256 score, bool best);'],
+    functions: [
+`function recordScore(uint256 score) public {
+    bool best = score > bestScore[msg.sender];
+    if (best) {
+        bestScore[msg.sender] = score;
+    }
+    emit ScoreRecorded(msg.sender, score, best);
+}`
+    ],
+    calls: [{ method: 'recordScore', args: () => [randomInt(1, 10000)] }]
+  },
+  {
+    name: 'items',
+    state: ['uint256[] public items;'],
+    events: ['event ItemAdded(uint256 indexed index, uint256 value);'],
+    functions: [
+`function addItem(uint256 value) public {
+    items.push(value);
+    emit ItemAdded(items.length - 1, value);
+}`,
+`function itemCount() public view returns (uint256) {
+    return items.length;
+}`
+    ],
+    calls: [{ method: 'addItem', args: () => [randomInt(1, 1000000)] }]
+  },
+  {
+    name: 'switch',
+    state: ['bool public active = true;'],
+    events: ['event ActiveChanged(bool active);'],
+    functions: [
+`function toggleActive() public onlyOwner {
+    active = !active;
+    emit ActiveChanged(active);
+}`
+    ],
+    calls: [{ method: 'toggleActive', args: () => [] }]
+  },
+  {
+    name: 'hashes',
+    state: ['mapping(bytes32 => uint256) public recordedAt;'],
+    events: ['event HashRecorded(bytes32 indexed hash, uint256 timestamp);'],
+    functions: [
+`function recordHash(bytes32 hash) public {
+    require(recordedAt[hash] == 0, "Already recorded");
+    recordedAt[hash] = block.timestamp;
+    emit HashRecorded(hash, block.timestamp);
+}`
+    ],
+    calls: [{ method: 'recordHash', args: () => [ethers.hexlify(ethers.randomBytes(32))] }]
+  },
+  {
+    name: 'ping',
+    state: ['uint256 public lastPing;', 'uint256 public pingCount;'],
+    events: ['event Pinged(address indexed from, uint256 count);'],
+    functions: [
+`function ping() public {
+    lastPing = block.timestamp;
+    pingCount += 1;
+    emit Pinged(msg.sender, pingCount);
+}`
+    ],
+    calls: [{ method: 'ping', args: () => [] }]
+  },
+  {
+    name: 'notes',
+    state: [
+`struct Note {
+    address author;
+    string text;
+    uint256 createdAt;
+}`,
+      'Note[] public notes;'
+    ],
+    events: ['event NoteAdded(uint256 indexed id, address indexed author);'],
+    functions: [
+`function addNote(string memory text) public {
+    notes.push(Note(msg.sender, text, block.timestamp));
+    emit NoteAdded(notes.length - 1, msg.sender);
+}`
+    ],
+    calls: [{ method: 'addNote', args: () => [_.sample(MESSAGES)] }]
+  }
+];
+
+class RandomContract extends BaseOperation {
+  constructor(privateKey, configObj = {}) {
+    // Initialize base class
+    super(privateKey, configObj, 'random_contract');
+    
+    // Initialize contract manager
+    this.contractManager = new ContractManager(this.blockchain, configObj, this.network);
+  }
+  
+  getMaxGas() {
+    const maxGas = this.config.get ?
+      this.config.getNumber('operations.random_contract.max_gas', this.defaultConfig.max_gas) :
+      (this.config.operations?.random_contract?.max_gas || this.defaultConfig.max_gas);
+    
+    return BigInt(maxGas);
+  }
+  
+  generateContractName() {
+    const prefix = _.sample(constants.RANDOM_CONTRACT.NAME_PREFIXES);
+    const suffix = _.sample(constants.RANDOM_CONTRACT.NAME_SUFFIXES);
+    return `${prefix}${suffix}${randomInt(100, 999)}`;
+  }
+  
+  // Compile random contracts until one fits within max_gas, fewer fragments on every rejection
+  async buildContract() {
+    const maxGas = this.getMaxGas();
+    let fragmentCount = randomInt(2, 5);
+    
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const fragments = _.sampleSize(FRAGMENTS, fragmentCount);
+      const contractName = this.generateContractName();
+      
+      this.logger.info(`Assembling ${contractName} from: ${fragments.map(fragment => fragment.name).join(', ')}`);
+      
+      const source = assembleContract(contractName, [BASE_FRAGMENT, ...fragments]);
+      const compiledContract = await this.contractManager.compileContract(contractName, source);
+      const estimatedGas = await this.contractManager.estimateDeploymentGas(compiledContract);
+      
+      if (estimatedGas <= maxGas) {
+        this.logger.info(`Deployment estimate: ${estimatedGas} gas (max_gas ${maxGas})`);
+        return { contractName, fragments, compiledContract };
+      }
+      
+      this.logger.warn(`Rejected ${contractName}: deployment estimate ${estimatedGas} gas exceeds max_gas ${maxGas} (attempt ${attempt}/${MAX_ATTEMPTS})`);
+      fragmentCount = Math.max(1, fragmentCount - 1);
+    }
+    
+    return null;
+  }
+  
+  async interact(deployedContract, fragments) {
+    const calls = fragments.flatMap(fragment => fragment.calls);
+    const selected = _.sampleSize(calls, randomInt(1, Math.min(3, calls.length)));
+    
+    let successCount = 0;
+    for (const [i, call] of selected.entries()) {
+      this.logger.info(`Interaction ${i + 1}/${selected.length}: ${call.method}...`);
+      
+      const result = await this.contractManager.callContractMethod(
+        deployedContract.contractAddress,
+        deployedContract.abi,
+        call.method,
+        call.args()
+      );
+      
+      if (result.success) {
+        this.logger.success(`${call.method} successful`);
+        successCount++;
+      } else {
+        this.logger.error(`${call.method} failed: ${result.error}`);
+      }
+    }
+    
+    this.logger.info(`Completed ${successCount}/${selected.length} interactions`);
+  }
+  
+  async deployRandomContract(contractNum, totalContracts) {
+    try {
+      this.logger.info(`Random contract ${contractNum}/${totalContracts}...`);
+      
+      const built = await this.buildContract();
+      if (!built) {
+        this.logger.error(`No contract fit within max_gas after ${MAX_ATTEMPTS} attempts`);
+        return false;
+      }
+      
+      const { contractName, fragments, compiledContract } = built;
+      
+      const deployedContract = await this.contractManager.deployContract(compiledContract, [], contractName);
+      
+      // Keep a record of what was deployed where
+      try {
+        await deployments.record({
+          type: 'contract',
+          network: this.network,
+          address: deployedContract.contractAddress,
+          owner: this.blockchain.address,
+          name: contractName,
+          fragments: fragments.map(fragment => fragment.name)
+        });
+      } catch (error) {
+        this.logger.warn(`Unable to record contract deployment: ${error.message}`);
+      }
+      
+      await this.interact(deployedContract, fragments);
+      
+      this.logger.success(`View contract: ${this.getExplorerUrl()}/address/${deployedContract.contractAddress}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Error deploying random contract: ${error.message}`);
+      return false;
+    }
+  }
+  
+  async executeOperations() {
+    const repeatTimes = this.getRepeatTimes();
+    
+    this.logger.info(`Will deploy ${repeatTimes} randomly assembled contract(s)`);
+    
+    let successCount = 0;
+    for (let i = 1; i <= repeatTimes; i++) {
+      const success = await this.deployRandomContract(i, repeatTimes);
+      if (success) successCount++;
+      
+      // Add delay between contracts if not the last one
+      if (i < repeatTimes) {
+        await this.addDelay(`next random contract (${i + 1}/${repeatTimes})`);
+      }
+    }
+    
+    this.logger.success(`Random contract operations completed: ${successCount}/${repeatTimes} contracts deployed`);
+    return successCount > 0;
+  }
+}
+
+module.exports = RandomContract;
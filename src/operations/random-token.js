@@ -0,0 +1,280 @@
+// Randomly featured ERC20 token operations
+const _ = require('lodash');
+const constants = require('../utils/constants');
+const BaseOperation = require('./base');
+const ContractManager = require('../core/contract');
+const deployments = require('../core/deployments');
+const { assembleContract, toIdentifier } = require('../core/solidity');
+
+const DECIMAL_CHOICES = [6, 9, 12, 18];
+
+// Tokens rejected for exceeding max_gas are replaced by smaller ones this many times
+const MAX_ATTEMPTS = 3;
+
+const randomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+
+// Share of the initial supply, in percent, used when exercising features
+const percentOf = (amount, percent) => amount * BigInt(percent) / 100n;
+
+const OWNER_FRAGMENT = {
+  state: ['address public owner;'],
+  modifiers: [
+`modifier onlyOwner() {
+    require(msg.sender == owner, "Not owner");
+    _;
+}`
+  ],
+  constructor: ['owner = msg.sender;']
+};
+
+// Optional features, each builds a fragment for a token and may add checks to
+// transfers and mints plus the calls that exercise it once deployed
+const FEATURES = {
+  mintable: token => ({
+    functions: [
+`function mint(address to, uint256 amount) public onlyOwner {
+    _mint(to, amount);
+}`
+    ],
+    calls: [{ method: 'mint', args: owner => [owner, percentOf(token.supply, randomInt(1, 10))] }]
+  }),
+  burnable: token => ({
+    functions: [
+`function burn(uint256 amount) public {
+    require(balanceOf[msg.sender] >= amount, "Insufficient balance");
+    balanceOf[msg.sender] -= amount;
+    totalSupply -= amount;
+    emit Transfer(msg.sender, address(0), amount);
+}`
+    ],
+    calls: [{ method: 'burn', args: () => [percentOf(token.supply, randomInt(1, 10))] }]
+  }),
+  pausable: () => ({
+    state: ['bool public paused;'],
+    events: ['event PausedChanged(bool paused);'],
+    functions: [
+`function setPaused(bool value) public onlyOwner {
+    paused = value;
+    emit PausedChanged(value);
+}`
+    ],
+    transferChecks: ['require(!paused, "Token is paused");'],
+    calls: [
+      { method: 'setPaused', args: () => [true] },
+      { method: 'setPaused', args: () => [false] }
+    ]
+  }),
+  capped: token => ({
+    state: [`uint256 public constant cap = ${token.supply * BigInt(randomInt(2, 10))};`],
+    mintChecks: ['require(totalSupply + amount <= cap, "Cap exceeded");'],
+    calls: []
+  })
+};
+
+// ERC20 core with the transfer and mint checks of the selected features
+function tokenFragment(token, features) {
+  const checks = key => features.flatMap(feature => feature[key] || []).map(line => `    ${line}\n`).join('');
+
+  return {
+    state: [
+      `string public name = "${token.name}";`,
+      `string public symbol = "${token.symbol}";`,
+      `uint8 public constant decimals = ${token.decimals};`,
+      'uint256 public totalSupply;',
+      'mapping(address => uint256) public balanceOf;',
+      'mapping(address => mapping(address => uint256)) public allowance;'
+    ],
+    events: [
+      'event Transfer(address indexed from, address indexed to, uint256 value);',
+      'event Approval(address indexed owner, address indexed spender, uint256 value);'
+    ],
+    constructor: [`_mint(msg.sender, ${token.supply});`],
+    functions: [
+`function transfer(address to, uint256 amount) public returns (bool) {
+    _transfer(msg.sender, to, amount);
+    return true;
+}`,
+`function approve(address spender, uint256 amount) public returns (bool) {
+    allowance[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+}`,
+`function transferFrom(address from, address to, uint256 amount) public returns (bool) {
+    require(allowance[from][msg.sender] >= amount, "Insufficient allowance");
+    allowance[from][msg.sender] -= amount;
+    _transfer(from, to, amount);
+    return true;
+}`,
+`function _transfer(address from, address to, uint256 amount) internal {
+${checks('transferChecks')}    require(balanceOf[from] >= amount, "Insufficient balance");
+    balanceOf[from] -= amount;
+    balanceOf[to] += amount;
+    emit Transfer(from, to, amount);
+}`,
+`function _mint(address to, uint256 amount) internal {
+${checks('mintChecks')}    totalSupply += amount;
+    balanceOf[to] += amount;
+    emit Transfer(address(0), to, amount);
+}`
+    ],
+    calls: [{ method: 'transfer', args: owner => [owner, percentOf(token.supply, randomInt(1, 10))] }]
+  };
+}
+
+class RandomToken extends BaseOperation {
+  constructor(privateKey, configObj = {}) {
+    // Initialize base class
+    super(privateKey, configObj, 'random_token');
+    
+    // Initialize contract manager
+    this.contractManager = new ContractManager(this.blockchain, configObj, this.network);
+  }
+  
+  getMaxGas() {
+    const maxGas = this.config.get ?
+      this.config.getNumber('operations.random_token.max_gas', this.defaultConfig.max_gas) :
+      (this.config.operations?.random_token?.max_gas || this.defaultConfig.max_gas);
+    
+    return BigInt(maxGas);
+  }
+  
+  generateToken() {
+    const name = `${_.sample(constants.ERC20.TOKEN_NAME_PREFIXES)} ${_.sample(constants.ERC20.TOKEN_NAME_SUFFIXES)}`;
+    const symbol = name.split(' ').map(word => word.substring(0, 2).toUpperCase()).join('');
+    const decimals = _.sample(DECIMAL_CHOICES);
+    const initialSupply = this.getRandomInRange('supply');
+    
+    return {
+      name,
+      symbol,
+      decimals,
+      initialSupply,
+      supply: BigInt(initialSupply) * 10n ** BigInt(decimals)
+    };
+  }
+  
+  // At least one feature and at most maxCount, each with even odds
+  pickFeatures(maxCount = Object.keys(FEATURES).length) {
+    const names = Object.keys(FEATURES).filter(() => Math.random() < 0.5);
+    return names.length > 0 ? _.sampleSize(names, maxCount) : [_.sample(Object.keys(FEATURES))];
+  }
+  
+  // Compile random tokens until one fits within max_gas, fewer features on every rejection
+  async buildToken() {
+    const maxGas = this.getMaxGas();
+    let featureCount = Object.keys(FEATURES).length;
+    
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const token = this.generateToken();
+      const featureNames = this.pickFeatures(featureCount);
+      const features = featureNames.map(feature => FEATURES[feature](token));
+      const core = tokenFragment(token, features);
+      
+      this.logger.info(`Assembling ${token.name} (${token.symbol}) with: ${featureNames.join(', ')}`);
+      this.logger.info(`Initial supply: ${token.initialSupply.toLocaleString()} with ${token.decimals} decimals`);
+      
+      const contractName = toIdentifier(token.name);
+      const source = assembleContract(contractName, [OWNER_FRAGMENT, core, ...features]);
+      const compiledContract = await this.contractManager.compileContract(contractName, source);
+      const estimatedGas = await this.contractManager.estimateDeploymentGas(compiledContract);
+      
+      if (estimatedGas <= maxGas) {
+        this.logger.info(`Deployment estimate: ${estimatedGas} gas (max_gas ${maxGas})`);
+        return { token, featureNames, features, core, compiledContract };
+      }
+      
+      this.logger.warn(`Rejected ${token.symbol}: deployment estimate ${estimatedGas} gas exceeds max_gas ${maxGas} (attempt ${attempt}/${MAX_ATTEMPTS})`);
+      featureCount = Math.max(1, featureNames.length - 1);
+    }
+    
+    return null;
+  }
+  
+  async exercise(deployedContract, calls, symbol) {
+    let successCount = 0;
+    for (const [i, call] of calls.entries()) {
+      this.logger.info(`Interaction ${i + 1}/${calls.length}: ${call.method}...`);
+      
+      const result = await this.contractManager.callContractMethod(
+        deployedContract.contractAddress,
+        deployedContract.abi,
+        call.method,
+        call.args(this.blockchain.address)
+      );
+      
+      if (result.success) {
+        this.logger.success(`${symbol} ${call.method} successful`);
+        successCount++;
+      } else {
+        this.logger.error(`${symbol} ${call.method} failed: ${result.error}`);
+      }
+    }
+    
+    this.logger.info(`Completed ${successCount}/${calls.length} interactions`);
+  }
+  
+  async deployRandomToken(tokenNum, totalTokens) {
+    try {
+      this.logger.info(`Random token ${tokenNum}/${totalTokens}...`);
+      
+      const built = await this.buildToken();
+      if (!built) {
+        this.logger.error(`No token fit within max_gas after ${MAX_ATTEMPTS} attempts`);
+        return false;
+      }
+      
+      const { token, featureNames, features, core, compiledContract } = built;
+      
+      const deployedContract = await this.contractManager.deployContract(compiledContract, [], `${token.symbol} token`);
+      
+      // Remember the token so the balance report can include it
+      try {
+        await deployments.record({
+          type: 'erc20',
+          network: this.network,
+          address: deployedContract.contractAddress,
+          owner: this.blockchain.address,
+          name: token.name,
+          symbol: token.symbol,
+          decimals: token.decimals,
+          features: featureNames
+        });
+      } catch (error) {
+        this.logger.warn(`Unable to record token deployment: ${error.message}`);
+      }
+      
+      // Exercise one or two features, the plain transfer when none has calls
+      const featureCalls = features.map(feature => feature.calls).filter(calls => calls.length > 0);
+      const selected = featureCalls.length > 0 ? _.sampleSize(featureCalls, randomInt(1, 2)) : [core.calls];
+      await this.exercise(deployedContract, selected.flat(), token.symbol);
+      
+      this.logger.success(`View token: ${this.getExplorerUrl()}/address/${deployedContract.contractAddress}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Error deploying random token: ${error.message}`);
+      return false;
+    }
+  }
+  
+  async executeOperations() {
+    const repeatTimes = this.getRepeatTimes();
+    
+    this.logger.info(`Will deploy ${repeatTimes} randomly featured token(s)`);
+    
+    let successCount = 0;
+    for (let i = 1; i <= repeatTimes; i++) {
+      const success = await this.deployRandomToken(i, repeatTimes);
+      if (success) successCount++;
+      
+      // Add delay between tokens if not the last one
+      if (i < repeatTimes) {
+        await this.addDelay(`next random token (${i + 1}/${repeatTimes})`);
+      }
+    }
+    
+    this.logger.success(`Random token operations completed: ${successCount}/${repeatTimes} tokens deployed`);
+    return successCount > 0;
+  }
+}
+
+module.exports = RandomToken;
@@ -3,62 +3,46 @@ const config = require('../core/config');
 const logger = require('../utils/logger');
 const Blockchain = require('../core/blockchain');
 const proxyManager = require('../core/proxy');
+const shutdown = require('../utils/shutdown');
+const checkpoints = require('../core/checkpoint');
+
+// Operations in their default order, modules are loaded on demand
+const OPERATIONS = [
+  { name: "bridge", module: './bridge' },
+  { name: "transfer", module: './transfer' },
+  { name: "contract_deploy", module: './contract' },
+  { name: "contract_testing", module: './test' },
+  { name: "erc20", module: './erc20' },
+  { name: "nft", module: './nft' },
+  { name: "batch_operations", module: './batch' },
+  { name: "random_contract", module: './random-contract' },
+  { name: "random_token", module: './random-token' }
+];
 
 class OperationRegistry {
-  constructor(privateKey, configObj = {}, walletNum = null) {
-    this.privateKey = privateKey;
+  constructor(privateKeyOrWallet, configObj = {}, walletNum = null, cycleBudget = null) {
     this.config = configObj;
     this.walletNum = walletNum;
     this.logger = walletNum !== null ? logger.getInstance(walletNum) : logger.getInstance();
+    this.interrupted = false;
     
-    // Create a blockchain instance for this wallet
-    this.blockchain = new Blockchain(privateKey, configObj, walletNum);
+    // Create a blockchain instance for this wallet, its fees count towards the cycle budget
+    this.blockchain = new Blockchain(privateKeyOrWallet, configObj, walletNum, cycleBudget);
     
     // Load operations
     this._loadOperations();
   }
   
+  static getOperationNames() {
+    return OPERATIONS.map(op => op.name);
+  }
+  
   _loadOperations() {
-    // Import operation modules
-    const Transfer = require('./transfer');
-    const Contract = require('./contract');
-    const ERC20 = require('./erc20');
-    const NFT = require('./nft');
-    const TestContract = require('./test');
-    const Batch = require('./batch');
-    const Bridge = require('./bridge');
-    
     // Initialize with shared blockchain instance
-    this.operations = [
-      { 
-        name: "bridge", 
-        instance: new Bridge(this.blockchain, this.config) 
-      },
-      { 
-        name: "transfer", 
-        instance: new Transfer(this.blockchain, this.config) 
-      },
-      { 
-        name: "contract_deploy", 
-        instance: new Contract(this.blockchain, this.config) 
-      },
-      { 
-        name: "contract_testing", 
-        instance: new TestContract(this.blockchain, this.config) 
-      },
-      { 
-        name: "erc20", 
-        instance: new ERC20(this.blockchain, this.config) 
-      },
-      { 
-        name: "nft", 
-        instance: new NFT(this.blockchain, this.config) 
-      },
-      { 
-        name: "batch_operations", 
-        instance: new Batch(this.blockchain, this.config) 
-      }
-    ];
+    this.operations = OPERATIONS.map(({ name, module }) => {
+      const Operation = require(module);
+      return { name, instance: new Operation(this.blockchain, this.config) };
+    });
     
     // Set wallet number for all operations
     if (this.walletNum !== null) {
@@ -113,7 +97,7 @@ class OperationRegistry {
     const randomizableOps = filteredOperations.filter(op => !excludedOps.includes(op.name));
     
     // Randomize if enabled
-    if (randomization.enable && randomizableOps.length > 1) {
+    if (randomization.enabled && randomizableOps.length > 1) {
       this._shuffleArray(randomizableOps);
     }
     
@@ -128,16 +112,49 @@ class OperationRegistry {
     }
   }
   
-  async executeAll() {
-    const operations = this.getRandomizedOperations();
+  async executeAll(only = null) {
+    const address = this.blockchain.address;
+    let success = true;
+    
+    // Operations picked by name run in the given order, otherwise the configured sequence is used
+    let operations = only ?
+      only.map(name => this.operations.find(op => op.name === name)).filter(Boolean) :
+      this.getRandomizedOperations();
+    
+    // Operations finished earlier in this cycle are not repeated after a restart
+    const finished = operations.filter(op => checkpoints.getOperation(address, op.name));
+    if (finished.length > 0) {
+      this.logger.info(`Resuming cycle, already finished: ${finished.map(op => op.name).join(', ')}`);
+      if (finished.some(op => !checkpoints.getOperation(address, op.name).success)) success = false;
+      operations = operations.filter(op => !finished.includes(op));
+    }
     
     // Log operations sequence
     this.logger.info(`Operations sequence: ${operations.map(op => op.name).join(' -> ')}`);
     
-    let success = true;
+    const budget = this.blockchain.budget;
     
     // Execute operations in sequence
-    for (const operation of operations) {
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+      
+      // Stop before the next operation once a shutdown was requested
+      if (shutdown.isRequested()) {
+        const remaining = operations.slice(i).map(op => op.name).join(', ');
+        this.logger.warn(`Shutting down, skipping remaining operations: ${remaining}`);
+        break;
+      }
+      
+      // Stop once the wallet or cycle budget is used up
+      const exhausted = budget.getExhausted(['cycle', 'wallet']);
+      if (exhausted) {
+        const remaining = operations.slice(i).map(op => op.name).join(', ');
+        this.logger.warn(`Gas budget for ${exhausted.scope} exhausted, skipping remaining operations: ${remaining}`);
+        break;
+      }
+      
+      budget.setOperation(operation.name);
+      
       try {
         logger.setWalletNum(this.walletNum);
         
@@ -146,12 +163,34 @@ class OperationRegistry {
         
         const result = await operation.instance.execute();
         if (!result) success = false;
+        
+        // An operation cut short by a shutdown runs again on resume
+        if (!shutdown.isRequested()) {
+          await checkpoints.recordOperation(address, operation.name, !!result);
+        }
       } catch (error) {
         this.logger.error(`Error in ${operation.name} operation: ${error.message}`);
         success = false;
       }
+      
+      if (budget.getExhausted(['operation'])) {
+        this.logger.warn(`Gas budget for ${operation.name} exhausted, remaining transactions were skipped`);
+      }
     }
     
+    budget.setOperation(null);
+    this.interrupted = shutdown.isRequested();
+    
+    // Operations skipped for the budget are not retried on resume either
+    if (!this.interrupted && !only) {
+      await checkpoints.recordWallet(address);
+    }
+    
+    // Log fees paid by this wallet
+    const summary = budget.getSummary();
+    const perOperation = Object.entries(summary.operations).map(([name, spent]) => `${name}: ${spent}`).join(', ');
+    this.logger.info(`Fees paid by wallet: ${summary.wallet} ETH${perOperation ? ` (${perOperation})` : ''}, cycle total: ${summary.cycle} ETH`);
+    
     return success;
   }
 }
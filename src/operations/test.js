@@ -5,24 +5,11 @@ const ContractManager = require('../core/contract');
 
 class Test extends BaseOperation {
   constructor(privateKey, configObj = {}) {
-    // Default configuration
-    const defaultConfig = {
-      enabled: true,
-      test_sequences: ["parameter_variation", "stress_test", "boundary_test"],
-      iterations: {
-        min: 3,
-        max: 10
-      }
-    };
-    
     // Initialize base class
     super(privateKey, configObj, 'contract_testing');
     
-    // Set default config
-    this.defaultConfig = defaultConfig;
-    
     // Initialize contract manager
-    this.contractManager = new ContractManager(this.blockchain, configObj);
+    this.contractManager = new ContractManager(this.blockchain, configObj, this.network);
   }
   
   generateTestValues() {
@@ -128,9 +115,7 @@ class Test extends BaseOperation {
       const testValues = this.generateTestValues();
       
       // Get number of iterations
-      const iterations = this.config.get ? 
-        this.config.getRandomInRange('contract_testing', 'iterations', 3, 10) :
-        Math.floor(Math.random() * 8) + 3; // 3-10
+      const iterations = this.getRandomInRange('iterations');
       
       this.logger.info(`Will perform ${iterations} iterations of parameter variation tests...`);
       
@@ -192,9 +177,7 @@ class Test extends BaseOperation {
       ];
       
       // Get iterations
-      const iterations = this.config.get ? 
-        this.config.getRandomInRange('contract_testing', 'iterations', 3, 10) :
-        Math.floor(Math.random() * 8) + 3; // 3-10
+      const iterations = this.getRandomInRange('iterations');
       
       this.logger.info(`Will perform ${iterations} iterations of stress tests...`);
       
@@ -258,6 +241,8 @@ class Test extends BaseOperation {
           if (currentValueResult.success) {
             this.logger.info(`Current value after operation: ${currentValueResult.result}`);
           }
+        } else if (result.skipped) {
+          this.logger.warn(`Stress test skipped for ${operation.name}(${args.join(', ')}): ${result.error}`);
         } else {
           this.logger.error(`Stress test failed for ${operation.name}(${args.join(', ')}): ${result.error}`);
         }
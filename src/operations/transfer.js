@@ -1,32 +1,11 @@
 // Token transfer operations
 const { ethers } = require('ethers');
-const constants = require('../utils/constants');
 const BaseOperation = require('./base');
 
 class Transfer extends BaseOperation {
   constructor(privateKey, configObj = {}) {
-    // Default configuration
-    const defaultConfig = {
-      enabled: true,
-      use_percentage: true,
-      percentage: 90,
-      fixed_amount: {
-        min: 0.0001,
-        max: 0.001,
-        decimals: 5
-      },
-      count: {
-        min: 1,
-        max: 3
-      },
-      repeat_times: 1
-    };
-    
     // Initialize base class
     super(privateKey, configObj, 'transfer');
-    
-    // Set default config
-    this.defaultConfig = defaultConfig;
   }
   
   generateRandomAmount() {
@@ -55,16 +34,14 @@ class Transfer extends BaseOperation {
       value: amount
     };
     
-    const gasLimit = await this.blockchain.estimateGas(txTemplate);
-    const gasPrice = await this.blockchain.getGasPrice();
-    
-    return gasLimit * gasPrice;
+    // Includes the L1 data fee on OP-stack networks
+    return await this.blockchain.estimateTransactionCost(txTemplate, this.network);
   }
   
   async executeTransfer(transferNum, totalTransfers) {
     try {
       // Get wallet balance
-      const { balance, balanceInEth, currency } = await this.blockchain.getBalance();
+      const { balance, balanceInEth, currency } = await this.blockchain.getBalance(this.network);
       
       if (balance === '0') {
         this.logger.warn(`No balance to transfer`);
@@ -79,9 +56,9 @@ class Transfer extends BaseOperation {
         this.config.get('operations.transfer.use_percentage', true) : 
         (this.config.operations?.transfer?.use_percentage ?? true);
       
-      // Estimate gas cost for a transfer
-      const gasPrice = await this.blockchain.getGasPrice();
-      const estimatedGasCost = BigInt(21000) * gasPrice * BigInt(2); // Double for safety
+      // Estimate the full cost of a transfer, without a value so estimation cannot fail on funds
+      const cost = await this.estimateGasCost(0n);
+      const estimatedGasCost = cost.total;
       
       let transferAmount;
       let displayAmount;
@@ -92,12 +69,12 @@ class Transfer extends BaseOperation {
         transferAmount = amount_wei;
         displayAmount = amount_eth;
         
-        this.logger.info(`Using fixed amount: ${displayAmount} ETH`);
+        this.logger.info(`Using fixed amount: ${displayAmount} ${currency}`);
       } else {
         // Use percentage of balance
         const percentage = this.config.get ? 
-          this.config.get('operations.transfer.percentage', 90) : 
-          (this.config.operations?.transfer?.percentage || 90);
+          this.config.get('operations.transfer.percentage', this.defaultConfig.percentage) : 
+          (this.config.operations?.transfer?.percentage || this.defaultConfig.percentage);
         
         // Apply percentage to safe balance
         const safeBalance = balance - estimatedGasCost;
@@ -109,7 +86,7 @@ class Transfer extends BaseOperation {
         transferAmount = (BigInt(Math.floor(Number(safeBalance) * percentage / 100))).toString();
         displayAmount = ethers.formatEther(transferAmount);
         
-        this.logger.info(`Using percentage-based amount: ${percentage}% of balance (${displayAmount} ETH)`);
+        this.logger.info(`Using percentage-based amount: ${percentage}% of balance (${displayAmount} ${currency})`);
       }
       
       // Verify we have enough funds
@@ -128,19 +105,21 @@ class Transfer extends BaseOperation {
         displayAmount = ethers.formatEther(transferAmount);
       }
       
-      // Create and send transaction
+      // Create and send transaction with the gas limit and fees the cost was estimated for
       const txObject = {
         to: this.blockchain.address,
-        value: transferAmount
+        value: transferAmount,
+        gasLimit: cost.gasLimit,
+        ...cost.feeOverrides
       };
 
-      this.logger.info(`Sending transfer #${transferNum}/${totalTransfers} of ${displayAmount} ETH to self`);
+      this.logger.info(`Sending transfer #${transferNum}/${totalTransfers} of ${displayAmount} ${currency} to self`);
       
-      const result = await this.blockchain.sendTransaction(txObject, `self-transfer #${transferNum}`);
+      const result = await this.blockchain.sendTransaction(txObject, `self-transfer #${transferNum}`, this.network, estimatedGasCost);
       
       if (result.success) {
         this.logger.success(`Transfer #${transferNum}/${totalTransfers} successful`);
-        this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+        this.logger.success(`View transaction: ${this.getExplorerUrl()}/tx/${result.txHash}`);
         return true;
       } else {
         this.logger.error(`Transfer #${transferNum}/${totalTransfers} failed: ${result.error}`);
@@ -154,14 +133,10 @@ class Transfer extends BaseOperation {
 
   async executeOperations() {
     // Get transfer count from config
-    const count = this.config.get ? 
-      this.config.getRandomInRange('transfer', 'count', 1, 3) : 
-      Math.floor(Math.random() * 3) + 1;
+    const count = this.getRandomInRange('count');
     
     // Get repeat count
-    const repeatTimes = this.config.get ? 
-      this.config.getRepeatTimes('transfer', 1) : 
-      (this.config.operations?.transfer?.repeat_times || 1);
+    const repeatTimes = this.getRepeatTimes();
     
     this.logger.info(`Will perform ${count} self-transfers, repeated ${repeatTimes} time(s)`);
     
@@ -178,8 +153,8 @@ class Transfer extends BaseOperation {
       this.logger.info(`Using fixed amount: min=${fixedAmount.min}, max=${fixedAmount.max}, decimals=${fixedAmount.decimals}`);
     } else {
       const percentage = this.config.get ? 
-        this.config.getNumber('operations.transfer.percentage', 90) : 
-        (this.config.operations?.transfer?.percentage || 90);
+        this.config.getNumber('operations.transfer.percentage', this.defaultConfig.percentage) : 
+        (this.config.operations?.transfer?.percentage || this.defaultConfig.percentage);
       
       this.logger.info(`Using percentage-based amount: ${percentage}% of wallet balance`);
     }
@@ -189,7 +164,7 @@ class Transfer extends BaseOperation {
       let successCount = 0;
       
       // Reset nonce for each repeat cycle
-      this.blockchain.resetNonce();
+      this.blockchain.resetNonce(this.network);
       
       for (let i = 1; i <= count; i++) {
         const success = await this.executeTransfer(i, count);
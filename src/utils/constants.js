@@ -35,13 +35,70 @@ module.exports = {
       }
     },
     
+    // Per-wallet labels and config overrides
+    WALLET_OVERRIDES: {
+      FILE: "data/wallets.json"
+    },
+    
+    // Encrypted wallet keystores
+    KEYSTORE: {
+      DIR: "data/keystores",
+      PASSWORD_ENV: "KEYSTORE_PASSWORD",
+      PASSWORD_FILE_ENV: "KEYSTORE_PASSWORD_FILE"
+    },
+    
+    // Cycle scheduling and persisted run state
+    SCHEDULE: {
+      INTERVAL_HOURS: 8,
+      STATE_FILE: "data/state.json",
+      LOG_INTERVAL_SECONDS: 1800 // Countdown log interval when stdout is not a terminal
+    },
+    
+    // Contracts deployed by operations, kept apart from the run state
+    DEPLOYMENTS: {
+      FILE: "data/deployments.json"
+    },
+    
+    // HD wallet derivation
+    MNEMONIC: {
+      PATH: "m/44'/60'/0'/0/{index}",
+      PHRASE_ENV: "WALLET_MNEMONIC"
+    },
+    
+    // RPC endpoint settings
+    RPC: {
+      TIMEOUT_SECONDS: 15,
+      FAILURE_PENALTY_MS: 5000,
+      COOLDOWN_SECONDS: 60,
+      STALL_TIMEOUT_MS: 2000,
+      BATCH_SIZE: 50 // Requests per JSON-RPC batch, some public endpoints reject larger ones
+    },
+    
     // Gas settings
     GAS: {
       PRICE_MULTIPLIER: 1.1,
       RETRY_INCREASE: 1.3,
+      MIN_REPLACEMENT_BUMP: 1.1, // Nodes reject replacements that raise fees by less than 10%
       MIN_GWEI: 0.0001,
       MAX_GWEI: 200,
       DEFAULT_GAS: 150000,
+      FEE_MODE: "auto", // legacy, eip1559 or auto
+      EIP1559_SOURCE: "fee_history", // fee_history or fee_data
+      FEE_HISTORY_BLOCKS: 5,
+      FEE_HISTORY_PERCENTILE: 50,
+      BASE_FEE_MULTIPLIER: 2
+    },
+    
+    // OP-stack L1 data fee settings
+    OP_STACK: {
+      GAS_PRICE_ORACLE: "0x420000000000000000000000000000000000000F",
+      L1_FEE_MULTIPLIER: 1.25 // L1 fee moves with the L1 base fee between estimate and inclusion
+    },
+    
+    // Confirmation settings for stuck transactions
+    CONFIRMATION: {
+      TIMEOUT_SECONDS: 180,
+      MAX_REPLACEMENTS: 3
     },
     
     // Retry settings
@@ -248,6 +305,16 @@ module.exports = {
       `
     },
     
+    // Randomly assembled contract settings
+    RANDOM_CONTRACT: {
+      NAME_PREFIXES: [
+        'Nova', 'Orbit', 'Pulse', 'Echo', 'Vertex', 'Prism', 'Cobalt', 'Ember', 'Atlas', 'Zenith'
+      ],
+      NAME_SUFFIXES: [
+        'Ledger', 'Registry', 'Vault', 'Board', 'Hub', 'Keeper', 'Store', 'Tracker', 'Journal', 'Beacon'
+      ]
+    },
+    
     // NFT collection settings
     NFT: {
       NAME_PREFIXES: [
@@ -526,7 +593,7 @@ module.exports = {
     // Version information
     VERSION: {
       APP: "1.2.0",
-      CONFIG_SCHEMA: "1.0",
+      CONFIG_SCHEMA: "2.0",
       BUILD_DATE: "2025-03-12"
     }
   };
\ No newline at end of file
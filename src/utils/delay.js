@@ -1,6 +1,7 @@
 // Delay utilities for rate limiting and operation pacing
 const chalk = require('chalk');
 const logger = require('./logger');
+const shutdown = require('./shutdown');
 
 // Add a random delay between operations
 async function randomDelay(config, walletNum, operationName = 'next transaction') {
@@ -60,9 +61,9 @@ function generateDelay(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
-// Promise-based wait function
+// Promise-based wait function, cut short by a shutdown request
 function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return shutdown.sleep(ms);
 }
 
 // Exponential backoff for retries
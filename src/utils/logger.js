@@ -1,4 +1,5 @@
 // Enhanced logging functionality
+const { AsyncLocalStorage } = require('async_hooks');
 const chalk = require('chalk');
 const winston = require('winston');
 
@@ -6,14 +7,24 @@ class Logger {
   constructor() {
     // Store logger instances by wallet
     this.instances = new Map();
+    
+    // Wallet labels and extra details such as the derivation index
+    this.walletLabels = new Map();
+    this.walletTags = new Map();
     this._defaultLogger = this._createLogger(null);
     
-    // Track last used wallet number
+    // Track last used wallet number outside of wallet contexts
     this._lastWalletNum = null;
     
+    // Wallet context per async call chain, so concurrent wallets never share it
+    this._context = new AsyncLocalStorage();
+    
     // Default log level
     this.logLevel = 'info'; // 'error', 'warn', 'info', 'debug'
     
+    // Console output, moved to stderr when stdout carries a report
+    this.print = (...args) => console.log(...args);
+    
     // Create winston logger for file logging
     this.winstonLogger = winston.createLogger({
       level: 'info',
@@ -29,11 +40,9 @@ class Logger {
   }
 
   getInstance(walletNum = null) {
-    // Use last wallet number if available
-    if (walletNum === null && this._lastWalletNum !== null) {
-      walletNum = this._lastWalletNum;
-    } else if (walletNum !== null) {
-      this._lastWalletNum = walletNum;
+    // Use the wallet of the current context, or the last one set outside of any context
+    if (walletNum === null) {
+      walletNum = this.getCurrentWalletNum();
     }
     
     if (walletNum === null) {
@@ -53,6 +62,15 @@ class Logger {
     return {
       walletNum,
       
+      getWalletName() {
+        if (this.walletNum === null) return 'System';
+        
+        const label = self.walletLabels.get(this.walletNum);
+        const tag = self.walletTags.get(this.walletNum);
+        const name = label ? `${label} #${this.walletNum}` : `Wallet ${this.walletNum}`;
+        return tag ? `${name} ${tag}` : name;
+      },
+      
       getTimestamp() {
         const now = new Date();
         
@@ -68,10 +86,7 @@ class Logger {
         const seconds = String(now.getSeconds()).padStart(2, '0');
         const formattedTime = `${hours}:${minutes}:${seconds}`;
         
-        if (this.walletNum !== null) {
-          return `[${formattedDate} - ${formattedTime} - Wallet ${this.walletNum}]`;
-        }
-        return `[${formattedDate} - ${formattedTime} - System]`;
+        return `[${formattedDate} - ${formattedTime} - ${this.getWalletName()}]`;
       },
       
       shouldLog(messageLevel) {
@@ -88,40 +103,40 @@ class Logger {
       info(message) {
         if (this.shouldLog('info')) {
           const formattedMessage = `${this.getTimestamp()} ℹ ${message}`;
-          console.log(chalk.cyan(formattedMessage));
-          self.winstonLogger.info(`[Wallet ${this.walletNum || 'System'}] ${message}`);
+          self.print(chalk.cyan(formattedMessage));
+          self.winstonLogger.info(`[${this.getWalletName()}] ${message}`);
         }
       },
       
       success(message) {
         if (this.shouldLog('info')) {
           const formattedMessage = `${this.getTimestamp()} ✓ ${message}`;
-          console.log(chalk.green(formattedMessage));
-          self.winstonLogger.info(`[Wallet ${this.walletNum || 'System'}] SUCCESS: ${message}`);
+          self.print(chalk.green(formattedMessage));
+          self.winstonLogger.info(`[${this.getWalletName()}] SUCCESS: ${message}`);
         }
       },
       
       warn(message) {
         if (this.shouldLog('warn')) {
           const formattedMessage = `${this.getTimestamp()} ⚠ ${message}`;
-          console.log(chalk.yellow(formattedMessage));
-          self.winstonLogger.warn(`[Wallet ${this.walletNum || 'System'}] ${message}`);
+          self.print(chalk.yellow(formattedMessage));
+          self.winstonLogger.warn(`[${this.getWalletName()}] ${message}`);
         }
       },
       
       error(message) {
         if (this.shouldLog('error')) {
           const formattedMessage = `${this.getTimestamp()} ✗ ${message}`;
-          console.log(chalk.red(formattedMessage));
-          self.winstonLogger.error(`[Wallet ${this.walletNum || 'System'}] ${message}`);
+          self.print(chalk.red(formattedMessage));
+          self.winstonLogger.error(`[${this.getWalletName()}] ${message}`);
         }
       },
       
       debug(message) {
         if (this.shouldLog('debug')) {
           const formattedMessage = `${this.getTimestamp()} 🔍 ${message}`;
-          console.log(chalk.gray(formattedMessage));
-          self.winstonLogger.debug(`[Wallet ${this.walletNum || 'System'}] ${message}`);
+          self.print(chalk.gray(formattedMessage));
+          self.winstonLogger.debug(`[${this.getWalletName()}] ${message}`);
         }
       },
       
@@ -131,24 +146,41 @@ class Logger {
           const divider = chalk.blue("═".repeat(80));
           
           // Display divider, header, and divider
-          console.log(`\n${divider}`);
-          console.log(chalk.blue.bold(`${this.getTimestamp()} ${message}`));
-          console.log(`${divider}\n`);
+          self.print(`\n${divider}`);
+          self.print(chalk.blue.bold(`${this.getTimestamp()} ${message}`));
+          self.print(`${divider}\n`);
           
-          self.winstonLogger.info(`[Wallet ${this.walletNum || 'System'}] HEADER: ${message}`);
+          self.winstonLogger.info(`[${this.getWalletName()}] HEADER: ${message}`);
         }
       },
       
       custom(message, style) {
         if (this.shouldLog('info')) {
           const formattedMessage = `${this.getTimestamp()} ${message}`;
-          console.log(style(formattedMessage));
-          self.winstonLogger.info(`[Wallet ${this.walletNum || 'System'}] ${message}`);
+          self.print(style(formattedMessage));
+          self.winstonLogger.info(`[${this.getWalletName()}] ${message}`);
         }
       }
     };
   }
 
+  // Flush pending file writes, e.g. before exiting.
+  // The logger finishes before its file transports have written everything, so wait for each transport
+  close() {
+    const flushed = this.winstonLogger.transports.map(transport => new Promise((resolve) => {
+      if (transport.writableFinished) return resolve();
+      transport.once('finish', resolve);
+    }));
+    
+    this.winstonLogger.end();
+    return Promise.all(flushed);
+  }
+
+  // Write console output to stderr, keeping stdout for machine readable output
+  useStderr() {
+    this.print = (...args) => console.error(...args);
+  }
+
   setLogLevel(level) {
     if (['error', 'warn', 'info', 'debug'].includes(level)) {
       this.logLevel = level;
@@ -157,9 +189,41 @@ class Logger {
     return this;
   }
   
+  setWalletLabel(walletNum, label) {
+    if (label) {
+      this.walletLabels.set(walletNum, label);
+    } else {
+      this.walletLabels.delete(walletNum);
+    }
+    return this;
+  }
+  
+  setWalletTag(walletNum, tag) {
+    if (tag) {
+      this.walletTags.set(walletNum, tag);
+    } else {
+      this.walletTags.delete(walletNum);
+    }
+    return this;
+  }
+  
+  getCurrentWalletNum() {
+    const store = this._context.getStore();
+    return store ? store.walletNum : this._lastWalletNum;
+  }
+  
+  // Run a function with its own wallet context, inherited by everything it awaits
+  runWithWallet(walletNum, fn) {
+    return this._context.run({ walletNum }, fn);
+  }
+  
   setWalletNum(num) {
-    this._lastWalletNum = num;
-    this.getInstance(num);
+    const store = this._context.getStore();
+    if (store) {
+      store.walletNum = num;
+    } else {
+      this._lastWalletNum = num;
+    }
     return this.getInstance(num);
   }
   
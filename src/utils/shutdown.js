@@ -0,0 +1,85 @@
+// Graceful shutdown on SIGINT and SIGTERM
+const os = require('os');
+const logger = require('./logger');
+
+/**
+ * ShutdownManager class
+ * The first signal lets the current transaction confirm and stops new work,
+ * a second signal exits immediately
+ */
+class ShutdownManager {
+  constructor() {
+    this.signal = null;
+    this.installed = false;
+    this.waiters = new Set();
+  }
+
+  /**
+   * Register the signal handlers, once per process
+   */
+  install() {
+    if (this.installed) return;
+    this.installed = true;
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => this.handleSignal(signal)));
+  }
+
+  handleSignal(signal) {
+    if (this.signal) {
+      logger.getInstance().error(`Received ${signal} again, forcing exit`);
+      process.exit(128 + os.constants.signals[signal]);
+    }
+
+    this.signal = signal;
+    // End the line the terminal echoed ^C on, through the logger so reports on stdout stay intact
+    logger.print('');
+    logger.getInstance().warn(`Received ${signal}, stopping after the current transaction. Send it again to force exit`);
+
+    // Wake up everything sleeping so waits between wallets and cycles end now
+    this.waiters.forEach(wake => wake());
+    this.waiters.clear();
+  }
+
+  /**
+   * Check whether a shutdown was requested
+   * @returns {boolean}
+   */
+  isRequested() {
+    return this.signal !== null;
+  }
+
+  /**
+   * Throw when a shutdown was requested, used before starting new transactions
+   */
+  assertRunning() {
+    if (!this.isRequested()) return;
+
+    const error = new Error(`Shutdown requested (${this.signal}), not sending new transactions`);
+    error.code = 'SHUTDOWN';
+    throw error;
+  }
+
+  /**
+   * Wait for a duration, ending early when a shutdown is requested
+   * @param {number} ms - Duration in milliseconds
+   * @returns {Promise<boolean>} True when the full duration passed
+   */
+  sleep(ms) {
+    if (this.isRequested()) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        resolve(false);
+      };
+      const timer = setTimeout(() => {
+        this.waiters.delete(wake);
+        resolve(true);
+      }, ms);
+
+      this.waiters.add(wake);
+    });
+  }
+}
+
+module.exports = new ShutdownManager();
@@ -0,0 +1,331 @@
+const _ = require('lodash');
+const { ethers } = require('ethers');
+
+jest.mock('../src/utils/logger', () => {
+  const instance = { info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), header: jest.fn() };
+  return { ...instance, getInstance: () => instance, setWalletNum: jest.fn() };
+});
+
+const Blockchain = require('../src/core/blockchain');
+const GasBudget = require('../src/core/budget');
+const constants = require('../src/utils/constants');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+// Minimal stand-in for the config singleton
+function createConfig(values = {}) {
+  const get = (path, defaultValue) => _.get(values, path, defaultValue);
+  return {
+    get,
+    getNumber: (path, defaultValue = 0) => Number(get(path, defaultValue)),
+    getBoolean: (path, defaultValue = false) => Boolean(get(path, defaultValue))
+  };
+}
+
+function createBlockchain(general = {}, provider = {}, wallet = {}, values = {}) {
+  const blockchain = new Blockchain(null, createConfig({ ...values, general: { gas_price_multiplier: 1, ...general } }));
+  blockchain.getProvider = () => provider;
+  blockchain.getWallet = () => wallet;
+  return blockchain;
+}
+
+function createFeeProvider(feeData, history = null) {
+  return {
+    getFeeData: jest.fn().mockResolvedValue(feeData),
+    send: jest.fn().mockImplementation(async method => {
+      if (method !== 'eth_feeHistory' || !history) throw new Error(`${method} not supported`);
+      return history;
+    })
+  };
+}
+
+describe('fee mode', () => {
+  const feeData = { gasPrice: gwei(10), maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) };
+
+  test('legacy mode prices transactions with the gas price', async () => {
+    const provider = createFeeProvider(feeData);
+    const blockchain = createBlockchain({ fee_mode: 'legacy' }, provider);
+
+    expect(await blockchain.getFeeOverrides()).toEqual({ type: 0, gasPrice: gwei(10) });
+    expect(provider.send).not.toHaveBeenCalled();
+  });
+
+  test('eip1559 mode uses the fee data of the provider', async () => {
+    const blockchain = createBlockchain({ fee_mode: 'eip1559', eip1559_source: 'fee_data' }, createFeeProvider(feeData));
+
+    expect(await blockchain.getFeeOverrides()).toEqual({ type: 2, maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+  });
+
+  test('fee history uses the next base fee and the average tip of recent blocks', async () => {
+    const provider = createFeeProvider(feeData, {
+      baseFeePerGas: [ethers.toQuantity(gwei(4)), ethers.toQuantity(gwei(5))],
+      reward: [[ethers.toQuantity(gwei(1))], [ethers.toQuantity(gwei(3))]]
+    });
+    const blockchain = createBlockchain({ fee_mode: 'eip1559', eip1559_source: 'fee_history' }, provider);
+
+    // maxFeePerGas is twice the base fee plus the tip
+    expect(await blockchain.getFeeOverrides()).toEqual({ type: 2, maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(2) });
+    expect(provider.send).toHaveBeenCalledWith('eth_feeHistory', [
+      ethers.toQuantity(constants.GAS.FEE_HISTORY_BLOCKS),
+      'latest',
+      [constants.GAS.FEE_HISTORY_PERCENTILE]
+    ]);
+  });
+
+  test('falls back to fee data when eth_feeHistory fails', async () => {
+    const blockchain = createBlockchain({ fee_mode: 'eip1559', eip1559_source: 'fee_history' }, createFeeProvider(feeData));
+
+    expect(await blockchain.getFeeOverrides()).toEqual({ type: 2, maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+  });
+
+  test('auto mode uses legacy pricing on networks without a base fee', async () => {
+    const provider = createFeeProvider({ gasPrice: gwei(10), maxFeePerGas: null, maxPriorityFeePerGas: null });
+    const blockchain = createBlockchain({ fee_mode: 'auto' }, provider);
+
+    expect(await blockchain.getFeeOverrides()).toEqual({ type: 0, gasPrice: gwei(10) });
+  });
+
+  test('applies the multiplier and caps the priority fee at the max fee', async () => {
+    const provider = createFeeProvider({ gasPrice: gwei(10), maxFeePerGas: gwei(3), maxPriorityFeePerGas: gwei(5) });
+    const blockchain = createBlockchain({ fee_mode: 'eip1559', eip1559_source: 'fee_data', gas_price_multiplier: 2 }, provider);
+
+    expect(await blockchain.getFeeOverrides()).toEqual({ type: 2, maxFeePerGas: gwei(6), maxPriorityFeePerGas: gwei(6) });
+  });
+
+  test('clamps fees to the configured maximum', async () => {
+    const provider = createFeeProvider({ gasPrice: gwei(1000), maxFeePerGas: gwei(1000), maxPriorityFeePerGas: gwei(1) });
+    const blockchain = createBlockchain({ fee_mode: 'eip1559', eip1559_source: 'fee_data' }, provider);
+
+    const fees = await blockchain.getFeeOverrides();
+    expect(fees.maxFeePerGas).toBe(gwei(constants.GAS.MAX_GWEI));
+    expect(fees.maxPriorityFeePerGas).toBe(gwei(1));
+  });
+
+  test('unknown fee modes fall back to the default', () => {
+    expect(createBlockchain({ fee_mode: 'turbo' }).getFeeMode()).toBe(constants.GAS.FEE_MODE);
+  });
+});
+
+describe('replacement', () => {
+  const legacyTx = { hash: '0xa1', type: 0, nonce: 7, gasPrice: gwei(10), to: '0x0000000000000000000000000000000000000002', data: '0x', value: 0n, gasLimit: 21000n, chainId: 2233 };
+  const receipt = (hash, status = 1) => ({ hash, status, gasUsed: 21000n, gasPrice: gwei(1) });
+  const timeout = () => Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+
+  function createConfirmingBlockchain(waits, minedReceipt = null) {
+    const provider = {
+      ...createFeeProvider({ gasPrice: gwei(1), maxFeePerGas: null, maxPriorityFeePerGas: null }),
+      waitForTransaction: jest.fn(),
+      getTransactionReceipt: jest.fn().mockResolvedValue(minedReceipt)
+    };
+    waits.forEach(wait => {
+      if (wait instanceof Error) provider.waitForTransaction.mockRejectedValueOnce(wait);
+      else provider.waitForTransaction.mockResolvedValueOnce(wait);
+    });
+
+    return createBlockchain({ fee_mode: 'legacy', confirmation: { max_replacements: 2 } }, provider);
+  }
+
+  test('bumps the previous fees when the network price is lower', async () => {
+    const blockchain = createBlockchain({ fee_mode: 'legacy' }, createFeeProvider({ gasPrice: gwei(1) }));
+
+    expect(await blockchain.getReplacementFees(legacyTx, 1)).toEqual({ type: 0, gasPrice: gwei(13) });
+  });
+
+  test('uses the network price with the retry multiplier when it is higher than the bump', async () => {
+    const blockchain = createBlockchain({ fee_mode: 'legacy' }, createFeeProvider({ gasPrice: gwei(50) }));
+
+    expect(await blockchain.getReplacementFees(legacyTx, 1)).toEqual({ type: 0, gasPrice: gwei(65) });
+  });
+
+  test('bumps both EIP-1559 fees', async () => {
+    const provider = createFeeProvider({ gasPrice: gwei(1), maxFeePerGas: gwei(1), maxPriorityFeePerGas: gwei(1) });
+    const blockchain = createBlockchain({ fee_mode: 'eip1559', eip1559_source: 'fee_data' }, provider);
+    const tx = { ...legacyTx, type: 2, gasPrice: undefined, maxFeePerGas: gwei(20), maxPriorityFeePerGas: gwei(2) };
+
+    expect(await blockchain.getReplacementFees(tx, 1)).toEqual({ type: 2, maxFeePerGas: gwei(26), maxPriorityFeePerGas: gwei('2.6') });
+  });
+
+  test('gives up on replacing when the fee cap leaves no room to outbid', async () => {
+    const wallet = { sendTransaction: jest.fn() };
+    const blockchain = createBlockchain({ fee_mode: 'legacy' }, createFeeProvider({ gasPrice: gwei(1) }), wallet);
+    const tx = { ...legacyTx, gasPrice: gwei(constants.GAS.MAX_GWEI) };
+
+    expect(await blockchain.getReplacementFees(tx, 1)).toBeNull();
+    expect(await blockchain.replaceTransaction(tx, 1)).toBeNull();
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('rebroadcasts with the same nonce and higher fees', async () => {
+    const wallet = { sendTransaction: jest.fn().mockResolvedValue({ hash: '0xb2' }) };
+    const blockchain = createBlockchain({ fee_mode: 'legacy' }, createFeeProvider({ gasPrice: gwei(1) }), wallet);
+
+    await blockchain.replaceTransaction(legacyTx, 1);
+
+    expect(wallet.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      to: legacyTx.to,
+      nonce: 7,
+      gasPrice: gwei(13)
+    }));
+  });
+
+  test('replaces a transaction that is not confirmed in time', async () => {
+    const blockchain = createConfirmingBlockchain([timeout(), receipt('0xb2')]);
+    jest.spyOn(blockchain, 'replaceTransaction').mockResolvedValue({ ...legacyTx, hash: '0xb2' });
+
+    expect((await blockchain.waitForConfirmation(legacyTx)).hash).toBe('0xb2');
+    expect(blockchain.replaceTransaction.mock.calls[0].slice(0, 2)).toEqual([legacyTx, 1]);
+  });
+
+  test('keeps waiting without rebroadcasting once fees are at the cap', async () => {
+    const blockchain = createConfirmingBlockchain([timeout(), timeout(), receipt('0xa1')]);
+    jest.spyOn(blockchain, 'replaceTransaction').mockResolvedValue(null);
+
+    expect((await blockchain.waitForConfirmation(legacyTx)).hash).toBe('0xa1');
+    expect(blockchain.replaceTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns an earlier broadcast that was mined in the meantime', async () => {
+    const blockchain = createConfirmingBlockchain([timeout()], receipt('0xa1'));
+    jest.spyOn(blockchain, 'replaceTransaction');
+
+    expect((await blockchain.waitForConfirmation(legacyTx)).hash).toBe('0xa1');
+    expect(blockchain.replaceTransaction).not.toHaveBeenCalled();
+  });
+
+  test('fails after the configured number of replacements', async () => {
+    const blockchain = createConfirmingBlockchain([timeout(), timeout(), timeout()]);
+    jest.spyOn(blockchain, 'replaceTransaction').mockImplementation(async tx => ({ ...tx, hash: `${tx.hash}0` }));
+
+    await expect(blockchain.waitForConfirmation(legacyTx, 'transfer')).rejects.toMatchObject({
+      code: 'TIMEOUT',
+      message: 'transfer not confirmed after 2 replacement(s)'
+    });
+    expect(blockchain.replaceTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails instead of recording a fee when the wait resolves without a receipt', async () => {
+    const blockchain = createConfirmingBlockchain([null]);
+    jest.spyOn(blockchain, 'recordFee');
+
+    await expect(blockchain.waitForConfirmation(legacyTx, 'transfer')).rejects.toMatchObject({
+      code: 'TIMEOUT',
+      message: 'transfer not confirmed, no receipt for 0xa1'
+    });
+    expect(blockchain.recordFee).not.toHaveBeenCalled();
+  });
+
+  test('does not report a cancellation as confirmed without a receipt', async () => {
+    const blockchain = createConfirmingBlockchain([null]);
+    jest.spyOn(blockchain, 'replaceTransaction').mockResolvedValue({ ...legacyTx, hash: '0xc3' });
+    jest.spyOn(blockchain, 'recordFee');
+
+    expect(await blockchain.cancelTransaction(legacyTx, 3)).toBe(false);
+    expect(blockchain.replaceTransaction).toHaveBeenCalledWith(legacyTx, 3, blockchain.network, true);
+    expect(blockchain.recordFee).not.toHaveBeenCalled();
+  });
+
+  test('throws on a reverted receipt', async () => {
+    const blockchain = createConfirmingBlockchain([receipt('0xa1', 0)]);
+
+    await expect(blockchain.waitForConfirmation(legacyTx)).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+  });
+});
+
+describe('sendWithNonce', () => {
+  function createSendingBlockchain() {
+    const blockchain = createBlockchain();
+    jest.spyOn(blockchain, 'reserveNonce').mockResolvedValue(7);
+    jest.spyOn(blockchain, 'releaseNonce').mockImplementation(() => {});
+    jest.spyOn(blockchain, 'resyncNonce').mockResolvedValue(8);
+    return blockchain;
+  }
+
+  test('releases the nonce when the node rejects the transaction', async () => {
+    const blockchain = createSendingBlockchain();
+    const rejection = Object.assign(new Error('insufficient funds'), { code: 'INSUFFICIENT_FUNDS' });
+
+    await expect(blockchain.sendWithNonce(() => Promise.reject(rejection))).rejects.toBe(rejection);
+    expect(blockchain.releaseNonce).toHaveBeenCalledWith(7, blockchain.network);
+    expect(blockchain.resyncNonce).not.toHaveBeenCalled();
+  });
+
+  test('resyncs instead of releasing when the broadcast may have reached the node', async () => {
+    const blockchain = createSendingBlockchain();
+    const timeout = Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+
+    await expect(blockchain.sendWithNonce(() => Promise.reject(timeout))).rejects.toBe(timeout);
+    expect(blockchain.releaseNonce).not.toHaveBeenCalled();
+    expect(blockchain.resyncNonce).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to a resync on the next transaction when resyncing fails', async () => {
+    const blockchain = createSendingBlockchain();
+    const manager = { reset: jest.fn() };
+    jest.spyOn(blockchain, 'getNonceManager').mockReturnValue(manager);
+    blockchain.resyncNonce.mockRejectedValue(new Error('connection refused'));
+    const timeout = Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+
+    await expect(blockchain.sendWithNonce(() => Promise.reject(timeout))).rejects.toBe(timeout);
+    expect(manager.reset).toHaveBeenCalled();
+  });
+
+  test('retries once with a resynced nonce when the nonce was already used', async () => {
+    const blockchain = createSendingBlockchain();
+    blockchain.reserveNonce.mockResolvedValueOnce(7).mockResolvedValueOnce(8);
+    const send = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' }))
+      .mockResolvedValueOnce({ hash: '0xa1' });
+
+    expect(await blockchain.sendWithNonce(send)).toEqual({ hash: '0xa1' });
+    expect(send.mock.calls).toEqual([[7], [8]]);
+    expect(blockchain.releaseNonce).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendTransaction budget', () => {
+  const legacyTx = { to: '0x0000000000000000000000000000000000000002', value: 0n, gasLimit: 21000n, type: 0, gasPrice: gwei(1) };
+  const budget = { enabled: true, per_wallet_eth: 0.001 };
+
+  function createBudgetedBlockchain(values = { budget }) {
+    const wallet = { sendTransaction: jest.fn() };
+    const blockchain = createBlockchain({ fee_mode: 'legacy' }, createFeeProvider({ gasPrice: gwei(1) }), wallet, values);
+    jest.spyOn(blockchain, 'getFeeOverrides');
+    jest.spyOn(blockchain, 'estimateTransactionCost');
+    return { blockchain, wallet };
+  }
+
+  test('checks the caller\'s estimate without estimating again', async () => {
+    const { blockchain, wallet } = createBudgetedBlockchain();
+
+    const result = await blockchain.sendTransaction(legacyTx, 'transfer', blockchain.network, ethers.parseEther('0.002'));
+
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('Gas budget for wallet exhausted') });
+    expect(blockchain.getFeeOverrides).not.toHaveBeenCalled();
+    expect(blockchain.estimateTransactionCost).not.toHaveBeenCalled();
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('estimates the cost itself only when a limit applies', async () => {
+    const { blockchain } = createBudgetedBlockchain({ budget: { enabled: true } });
+    jest.spyOn(blockchain, 'sendWithNonce').mockRejectedValue(new Error('stop'));
+
+    await blockchain.sendTransaction(legacyTx, 'transfer');
+
+    expect(blockchain.estimateTransactionCost).not.toHaveBeenCalled();
+    expect(blockchain.sendWithNonce).toHaveBeenCalled();
+  });
+
+  test('adds the fees of every wallet to the cycle budget', async () => {
+    const config = createConfig({ budget });
+    const cycle = new GasBudget(config);
+    const first = new Blockchain(null, config, null, cycle);
+    const second = new Blockchain(null, config, null, cycle);
+    first.getProvider = second.getProvider = () => ({ send: jest.fn().mockResolvedValue({}) });
+
+    await first.recordFee({ hash: '0xa1', gasUsed: 21000n, gasPrice: gwei(1) });
+    await second.recordFee({ hash: '0xb2', gasUsed: 21000n, gasPrice: gwei(1) });
+
+    expect(cycle.spent).toBe(gwei(42000));
+    expect(first.budget.spent).toBe(gwei(21000));
+  });
+});
@@ -0,0 +1,53 @@
+const _ = require('lodash');
+
+jest.mock('../src/utils/logger', () => {
+  const instance = { info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), header: jest.fn() };
+  return { ...instance, getInstance: () => instance, setWalletNum: jest.fn() };
+});
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const Blockchain = require('../src/core/blockchain');
+const Bridge = require('../src/operations/bridge');
+
+// Minimal stand-in for the config singleton
+function createConfig(values = {}) {
+  const get = (path, defaultValue) => _.get(values, path, defaultValue);
+  return {
+    get,
+    getString: (path, defaultValue = '') => String(get(path, defaultValue)),
+    getNumber: (path, defaultValue = 0) => Number(get(path, defaultValue)),
+    getBoolean: (path, defaultValue = false) => Boolean(get(path, defaultValue))
+  };
+}
+
+function createBridge(values = {}) {
+  const configObj = createConfig(values);
+  const blockchain = new Blockchain(null, configObj);
+  blockchain.getGasPrice = jest.fn().mockResolvedValue(1000000000n);
+  return new Bridge(blockchain, configObj);
+}
+
+beforeEach(() => {
+  axios.post.mockRejectedValue(new Error('Request failed with status code 503'));
+});
+
+describe('bridge transaction details', () => {
+  test('falls back to the inbox contract of the L1 network when the API fails', async () => {
+    const details = await createBridge().getBridgeTransactionDetails('sepolia_to_chainbase', 1000n);
+
+    expect(details).toMatchObject({ success: true, value: '1000', chainId: '11155111' });
+    expect(details.to).toMatch(/^0x[0-9a-fA-F]{40}$/);
+  });
+
+  test('throws when a custom network has no bridge contract to fall back to', async () => {
+    const networks = { devnet: { chain_id: 1337, rpc_urls: ['https://devnet.example'] } };
+    const deposit = createBridge({ networks, operations: { bridge: { l1_network: 'devnet' } } });
+    const withdrawal = createBridge({ networks, operations: { bridge: { l2_network: 'devnet' } } });
+
+    await expect(deposit.getBridgeTransactionDetails('sepolia_to_chainbase', 1000n))
+      .rejects.toThrow('Bridge API unavailable and networks.devnet.bridge.inbox_address is not set');
+    await expect(withdrawal.getBridgeTransactionDetails('chainbase_to_sepolia', 1000n))
+      .rejects.toThrow('Bridge API unavailable and networks.devnet.bridge.outbox_address is not set');
+  });
+});
@@ -0,0 +1,110 @@
+const _ = require('lodash');
+const { ethers } = require('ethers');
+const GasBudget = require('../src/core/budget');
+
+const eth = value => ethers.parseEther(String(value));
+
+// Minimal stand-in for the config singleton
+function createConfig(budget) {
+  const values = { budget };
+  return {
+    get: (path, defaultValue) => _.get(values, path, defaultValue),
+    getBoolean: (path, defaultValue = false) => Boolean(_.get(values, path, defaultValue))
+  };
+}
+
+const limits = {
+  enabled: true,
+  per_wallet_eth: 0.01,
+  per_cycle_eth: 0.02,
+  per_operation_eth: { nft: 0.004 }
+};
+
+describe('GasBudget', () => {
+  test('has no limits while disabled', () => {
+    const budget = new GasBudget(createConfig({ ...limits, enabled: false }));
+    budget.record(eth(1));
+
+    expect(budget.getLimit('per_wallet_eth')).toBeNull();
+    expect(budget.getExhausted()).toBeNull();
+  });
+
+  test('treats zero and missing limits as unlimited', () => {
+    const budget = new GasBudget(createConfig({ enabled: true, per_wallet_eth: 0 }));
+
+    expect(budget.getLimit('per_wallet_eth')).toBeNull();
+    expect(budget.getLimit('per_cycle_eth')).toBeNull();
+  });
+
+  test('records fees per wallet, operation and cycle', () => {
+    const cycle = new GasBudget(createConfig(limits));
+    const budget = new GasBudget(createConfig(limits), cycle);
+    budget.setOperation('nft');
+    budget.record(eth(0.001));
+    budget.setOperation('erc20');
+    budget.record(eth(0.002));
+
+    expect(budget.spent).toBe(eth(0.003));
+    expect(budget.getOperationSpent('nft')).toBe(eth(0.001));
+    expect(cycle.spent).toBe(eth(0.003));
+    expect(budget.getSummary()).toEqual({
+      wallet: '0.003',
+      cycle: '0.003',
+      operations: { nft: '0.001', erc20: '0.002' }
+    });
+  });
+
+  test('reports the operation budget once it is used up', () => {
+    const budget = new GasBudget(createConfig(limits));
+    budget.setOperation('nft');
+    budget.record(eth(0.004));
+
+    expect(budget.getExhausted()).toEqual({ scope: 'operation', spent: eth(0.004), limit: eth(0.004) });
+
+    // Other operations still have room
+    budget.setOperation('erc20');
+    expect(budget.getExhausted()).toBeNull();
+  });
+
+  test('reports the wallet budget before the operation budget', () => {
+    const budget = new GasBudget(createConfig(limits));
+    budget.setOperation('nft');
+    budget.record(eth(0.01));
+
+    expect(budget.getExhausted()).toMatchObject({ scope: 'wallet' });
+  });
+
+  test('shares the cycle budget between the wallets of a cycle only', () => {
+    const cycle = new GasBudget(createConfig(limits));
+    const first = new GasBudget(createConfig(limits), cycle);
+    const second = new GasBudget(createConfig(limits), cycle);
+    first.record(eth(0.009));
+    second.record(eth(0.009));
+    expect(second.getExhausted(['cycle'])).toBeNull();
+
+    first.record(eth(0.002));
+    expect(second.getExhausted(['cycle'])).toEqual({ scope: 'cycle', spent: eth(0.02), limit: eth(0.02) });
+    expect(cycle.getExhausted(['cycle'])).toMatchObject({ scope: 'cycle' });
+
+    // The next cycle starts with a budget of its own
+    const next = new GasBudget(createConfig(limits), new GasBudget(createConfig(limits)));
+    expect(next.getExhausted(['cycle'])).toBeNull();
+  });
+
+  test('counts a pending cost against the limits', () => {
+    const budget = new GasBudget(createConfig(limits));
+    budget.record(eth(0.009));
+
+    expect(budget.getExhausted(['wallet'], eth(0.001))).toBeNull();
+    expect(budget.getExhausted(['wallet'], eth(0.002))).toMatchObject({ scope: 'wallet' });
+  });
+
+  test('has limits only when enabled with a non-zero limit in scope', () => {
+    expect(new GasBudget(createConfig({ ...limits, enabled: false })).hasLimits()).toBe(false);
+    expect(new GasBudget(createConfig({ enabled: true, per_operation_eth: { nft: 0.004 } })).hasLimits()).toBe(false);
+
+    const budget = new GasBudget(createConfig({ enabled: true, per_operation_eth: { nft: 0.004 } }));
+    budget.setOperation('nft');
+    expect(budget.hasLimits()).toBe(true);
+  });
+});
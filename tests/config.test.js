@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/utils/logger', () => {
+  const instance = { info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), header: jest.fn() };
+  return { ...instance, getInstance: () => instance, setWalletNum: jest.fn() };
+});
+
+const config = require('../src/core/config');
+const NetworkRegistry = require('../src/core/networks');
+const { ConfigError } = require('../src/core/schema');
+
+const ENV_NAMES = ['CHAINBASE__GENERAL__CONCURRENCY', 'CHAINBASE__PROXY__ENABLED', 'CHAINBASE__GENERAL__FEE_MODE'];
+
+beforeEach(() => {
+  config.config = config.getDefaults();
+  config.setCliOverrides([]);
+});
+
+afterEach(() => {
+  ENV_NAMES.forEach(name => delete process.env[name]);
+});
+
+describe('collectOverrides', () => {
+  test('maps environment variables to config paths and appends --set assignments', () => {
+    config.setCliOverrides(['general.fee_mode=legacy', 'broken']);
+
+    expect(config.collectOverrides({ CHAINBASE__PROXY__ENABLED: 'true', CHAINBASE__: 'x', OTHER: '1' })).toEqual([
+      { path: 'proxy.enabled', raw: 'true', source: 'CHAINBASE__PROXY__ENABLED' },
+      { path: 'general.fee_mode', raw: 'legacy', source: '--set' },
+      { path: 'broken', raw: undefined, source: '--set' }
+    ]);
+  });
+});
+
+describe('coerceOverride', () => {
+  test('converts to the type of the default', () => {
+    expect(config.coerceOverride('proxy.enabled', 'yes')).toBe(true);
+    expect(config.coerceOverride('proxy.enabled', 'off')).toBe(false);
+    expect(config.coerceOverride('general.concurrency', '4')).toBe(4);
+    expect(config.coerceOverride('general.fee_mode', 'legacy')).toBe('legacy');
+  });
+
+  test('splits lists on commas or parses them as JSON', () => {
+    expect(config.coerceOverride('randomization.operations_to_run', 'erc20, nft')).toEqual(['erc20', 'nft']);
+    expect(config.coerceOverride('randomization.operations_to_run', '["nft"]')).toEqual(['nft']);
+  });
+
+  test('rejects values that do not fit the type', () => {
+    expect(() => config.coerceOverride('proxy.enabled', 'maybe')).toThrow('expected true or false, got "maybe"');
+    expect(() => config.coerceOverride('general.concurrency', 'many')).toThrow('expected a number, got "many"');
+  });
+});
+
+describe('applyOverrides', () => {
+  test('lets --set win over environment variables', () => {
+    process.env.CHAINBASE__GENERAL__CONCURRENCY = '2';
+    process.env.CHAINBASE__PROXY__ENABLED = 'true';
+    config.setCliOverrides(['general.concurrency=3']);
+
+    config.applyOverrides('config.json');
+
+    expect(config.get('general.concurrency')).toBe(3);
+    expect(config.get('proxy.enabled')).toBe(true);
+  });
+
+  test('validates the overridden config like the file', () => {
+    process.env.CHAINBASE__GENERAL__FEE_MODE = 'turbo';
+    config.setCliOverrides(['general.concurrency']);
+
+    let error;
+    try {
+      config.applyOverrides('config.json');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      '--set general.concurrency: expected path=value',
+      'general.fee_mode: must be one of legacy, eip1559, auto, got "turbo"'
+    ]);
+    expect(config.get('general.fee_mode')).toBe('auto');
+  });
+});
+
+describe('defaults', () => {
+  test('fall back to getDefaults when the file leaves keys out', () => {
+    config.config = { general: {} };
+
+    expect(config.getDelayConfig()).toEqual({ min_seconds: 5, max_seconds: 30 });
+    expect(config.getGasPriceMultiplier()).toBe(1.2);
+  });
+
+  test('define the built-in networks of the registry', () => {
+    config.config = {};
+
+    expect(new NetworkRegistry(config).getDefinitions()).toEqual(config.getDefaults().networks);
+    expect(new NetworkRegistry(config).getDefaultName()).toBe('chainbase');
+  });
+});
+
+describe('load', () => {
+  const LEGACY = JSON.stringify({ randomization: { enable: false } });
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, LEGACY);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('migrates an older file in memory without touching it', async () => {
+    await config.load(file);
+
+    expect(config.get('randomization.enabled')).toBe(false);
+    expect(fs.readFileSync(file, 'utf8')).toBe(LEGACY);
+    expect(fs.readdirSync(dir)).toEqual(['config.json']);
+  });
+
+  test('rewrites an older file and keeps a backup with writeMigration', async () => {
+    await config.load(file, { writeMigration: true });
+
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ schema_version: '2.0', randomization: { enabled: false } });
+    expect(fs.readFileSync(`${file}.v1.0.bak`, 'utf8')).toBe(LEGACY);
+  });
+
+  test('rejects a file that does not contain an object', async () => {
+    fs.writeFileSync(file, 'null');
+
+    await expect(config.load(file)).rejects.toMatchObject({ name: 'ConfigError', problems: ['must contain a JSON object, got null'] });
+  });
+});
@@ -0,0 +1,53 @@
+const _ = require('lodash');
+const constants = require('../src/utils/constants');
+const hdwallet = require('../src/core/hdwallet');
+
+const PHRASE = 'test test test test test test test test test test test junk';
+
+// Minimal stand-in for the config singleton
+function createConfig(mnemonic) {
+  const values = { mnemonic };
+  return { get: (path, defaultValue) => _.get(values, path, defaultValue) };
+}
+
+afterEach(() => {
+  delete process.env[constants.MNEMONIC.PHRASE_ENV];
+});
+
+describe('hdwallet', () => {
+  test('derives the configured range of wallets', async () => {
+    const entries = await hdwallet.deriveWallets(createConfig({ enabled: true, phrase: PHRASE, count: 2 }));
+
+    expect(entries.map(({ address, derivationIndex, path }) => ({ address, derivationIndex, path }))).toEqual([
+      { address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', derivationIndex: 0, path: "m/44'/60'/0'/0/0" },
+      { address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', derivationIndex: 1, path: "m/44'/60'/0'/0/1" }
+    ]);
+  });
+
+  test('starts at the configured index', async () => {
+    const entries = await hdwallet.deriveWallets(createConfig({ enabled: true, phrase: PHRASE, start_index: 1 }));
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', derivationIndex: 1 });
+  });
+
+  test('prefers the phrase from the environment', async () => {
+    process.env[constants.MNEMONIC.PHRASE_ENV] = PHRASE;
+    const config = createConfig({});
+
+    expect(hdwallet.isEnabled(config)).toBe(true);
+    expect((await hdwallet.deriveWallets(config))[0].address).toBe('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+  });
+
+  test('rejects invalid mnemonics and ranges', async () => {
+    await expect(hdwallet.deriveWallets(createConfig({ phrase: 'not a mnemonic' }))).rejects.toThrow('not a valid BIP-39 mnemonic');
+    await expect(hdwallet.deriveWallets(createConfig({ phrase: PHRASE, count: 0 }))).rejects.toThrow('mnemonic.count');
+    await expect(hdwallet.deriveWallets(createConfig({ phrase: PHRASE, start_index: -1 }))).rejects.toThrow('mnemonic.start_index');
+    await expect(hdwallet.deriveWallets(createConfig({}))).rejects.toThrow('No mnemonic configured');
+  });
+
+  test('requires an {index} placeholder in the derivation path', () => {
+    expect(hdwallet.getPath("m/44'/60'/{index}'/0/0", 3)).toBe("m/44'/60'/3'/0/0");
+    expect(() => hdwallet.getPath("m/44'/60'/0'/0/0", 3)).toThrow('{index} placeholder');
+  });
+});
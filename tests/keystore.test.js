@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const constants = require('../src/utils/constants');
+const keystore = require('../src/core/keystore');
+
+// Keystore encryption uses scrypt, which is slow by design
+jest.setTimeout(60000);
+
+const KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+];
+const ADDRESSES = [
+  '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'
+];
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('keystore', () => {
+  test('imports private keys into numbered keystores and loads them in order', async () => {
+    const result = await keystore.importPrivateKeys([KEYS[1], KEYS[0].slice(2)], 'secret', dir);
+
+    expect(result).toEqual({ created: [ADDRESSES[1], ADDRESSES[0]], skipped: [] });
+    expect(fs.readdirSync(dir).sort()).toEqual([`001-${ADDRESSES[1]}.json`, `002-${ADDRESSES[0]}.json`]);
+
+    const wallets = await keystore.loadKeystores('secret', dir);
+    expect(wallets.map(wallet => wallet.address)).toEqual([ADDRESSES[1], ADDRESSES[0]]);
+  });
+
+  test('skips addresses that already have a keystore', async () => {
+    await keystore.importPrivateKeys([KEYS[0]], 'secret', dir);
+
+    expect(await keystore.importPrivateKeys([KEYS[0]], 'secret', dir)).toEqual({ created: [], skipped: [ADDRESSES[0]] });
+    expect(await keystore.listKeystores(dir)).toHaveLength(1);
+  });
+
+  test('reports the file that fails to decrypt', async () => {
+    await keystore.importPrivateKeys([KEYS[0]], 'secret', dir);
+
+    await expect(keystore.loadKeystores('wrong', dir)).rejects.toThrow(`Failed to decrypt ${path.join(dir, `001-${ADDRESSES[0]}.json`)}`);
+  });
+
+  test('lists no keystores for a missing directory', async () => {
+    expect(await keystore.listKeystores(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  test('reads the password from the environment', async () => {
+    process.env[constants.KEYSTORE.PASSWORD_ENV] = 'from-env';
+    try {
+      expect(await keystore.getPassword()).toBe('from-env');
+    } finally {
+      delete process.env[constants.KEYSTORE.PASSWORD_ENV];
+    }
+  });
+});
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let dir;
+let cwd;
+
+beforeEach(() => {
+  // The logger writes to logs/ in the working directory as soon as it is loaded
+  cwd = process.cwd();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  process.chdir(dir);
+  jest.resetModules();
+});
+
+afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('close', () => {
+  test('resolves once every log file has been written', async () => {
+    const logger = require('../src/utils/logger');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    logger.error('disk full');
+    logger.info('cycle finished');
+    await logger.close();
+    
+    expect(fs.readFileSync(path.join(dir, 'logs/error.log'), 'utf8')).toContain('disk full');
+    expect(fs.readFileSync(path.join(dir, 'logs/combined.log'), 'utf8')).toContain('cycle finished');
+  });
+
+  test('resolves again once the files are closed', async () => {
+    const logger = require('../src/utils/logger');
+    
+    await logger.close();
+    await expect(logger.close()).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,94 @@
+const { migrate, compareVersions } = require('../src/core/migrations');
+const constants = require('../src/utils/constants');
+const { ConfigError } = require('../src/core/schema');
+
+describe('migrate', () => {
+  test('upgrades a 1.0 config to the current version', () => {
+    const legacy = {
+      randomization: { enable: true, excluded_operations: ['bridge'] },
+      delay: { min_seconds: 1, max_seconds: 2 },
+      general: { network: 'chainbase' }
+    };
+
+    const result = migrate(legacy);
+
+    expect(result.from).toBe('1.0');
+    expect(result.to).toBe(constants.VERSION.CONFIG_SCHEMA);
+    expect(result.config).toEqual({
+      schema_version: '2.0',
+      randomization: { enabled: true, excluded_operations: ['bridge'] },
+      general: { network: 'chainbase', delay: { min_seconds: 1, max_seconds: 2 } }
+    });
+    expect(Object.keys(result.config)[0]).toBe('schema_version');
+    expect(result.changes).toEqual([
+      '1.0 -> 2.0: renamed randomization.enable to randomization.enabled',
+      '1.0 -> 2.0: moved delay to general.delay',
+      'set schema_version to 2.0'
+    ]);
+  });
+
+  test('leaves the input untouched', () => {
+    const legacy = { randomization: { enable: false }, delay: { min_seconds: 1, max_seconds: 2 } };
+    const copy = JSON.parse(JSON.stringify(legacy));
+
+    migrate(legacy);
+
+    expect(legacy).toEqual(copy);
+  });
+
+  test('keeps values already at their new location', () => {
+    const result = migrate({
+      schema_version: '1.0',
+      randomization: { enable: false, enabled: true },
+      delay: { min_seconds: 1, max_seconds: 2 },
+      general: { delay: { min_seconds: 5, max_seconds: 6 } }
+    });
+
+    expect(result.config.randomization).toEqual({ enabled: true });
+    expect(result.config.general.delay).toEqual({ min_seconds: 5, max_seconds: 6 });
+    expect(result.config).not.toHaveProperty('delay');
+    expect(result.changes).toEqual([
+      '1.0 -> 2.0: removed randomization.enable, randomization.enabled is already set',
+      '1.0 -> 2.0: removed delay, general.delay is already set and took precedence',
+      'updated schema_version from 1.0 to 2.0'
+    ]);
+  });
+
+  test('reports no changes for a current config', () => {
+    const current = { schema_version: '2.0', general: { concurrency: 2 } };
+    expect(migrate(current)).toEqual({ config: current, from: '2.0', to: '2.0', changes: [] });
+  });
+
+  test('rejects newer and malformed versions', () => {
+    expect(() => migrate({ schema_version: '9.0' })).toThrow('schema_version 9.0 is newer than 2.0');
+    expect(() => migrate({ schema_version: 2 })).toThrow('schema_version must be a version string such as "2.0", got 2');
+    expect(() => migrate({ schema_version: 'v2' })).toThrow('schema_version must be a version string');
+  });
+
+  test('rejects files that do not contain an object', () => {
+    for (const [parsed, found] of [[null, 'null'], [[], 'an array'], ['2.0', 'string']]) {
+      let error;
+      try {
+        migrate(parsed, 'custom.json');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.file).toBe('custom.json');
+      expect(error.problems).toEqual([`must contain a JSON object, got ${found}`]);
+    }
+  });
+
+  test('fails when no migration path exists', () => {
+    expect(() => migrate({ schema_version: '0.5' })).toThrow('No migration from schema_version 0.5 to 2.0');
+  });
+});
+
+describe('compareVersions', () => {
+  test('orders by major then minor version', () => {
+    expect(compareVersions('1.0', '2.0')).toBeLessThan(0);
+    expect(compareVersions('2.10', '2.9')).toBeGreaterThan(0);
+    expect(compareVersions('2.0', '2.0')).toBe(0);
+  });
+});
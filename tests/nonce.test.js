@@ -0,0 +1,115 @@
+const NonceManager = require('../src/core/nonce');
+
+function createManager(pendingNonce = 5) {
+  const provider = { getTransactionCount: jest.fn().mockResolvedValue(pendingNonce) };
+  return new NonceManager('0x0000000000000000000000000000000000000001', 'chainbase', provider);
+}
+
+describe('NonceManager', () => {
+  test('reserves consecutive nonces from the pending count', async () => {
+    const manager = createManager(5);
+
+    expect(await manager.reserve()).toBe(5);
+    expect(await manager.reserve()).toBe(6);
+    expect(await manager.reserve()).toBe(7);
+    expect(manager.provider.getTransactionCount).toHaveBeenCalledTimes(1);
+  });
+
+  test('releasing the top nonce lowers the next nonce', async () => {
+    const manager = createManager(5);
+    await manager.reserve();
+    await manager.reserve();
+
+    manager.release(6);
+
+    expect(manager.nextNonce).toBe(6);
+    expect(manager.released).toEqual([]);
+  });
+
+  test('re-uses a released gap before new nonces', async () => {
+    const manager = createManager(5);
+    await manager.reserve();
+    await manager.reserve();
+    await manager.reserve();
+
+    manager.release(5);
+
+    expect(manager.released).toEqual([5]);
+    expect(await manager.reserve()).toBe(5);
+    expect(await manager.reserve()).toBe(8);
+  });
+
+  test('folds released nonces into the next nonce once they reach the top', async () => {
+    const manager = createManager(5);
+    await manager.reserve();
+    await manager.reserve();
+    await manager.reserve();
+
+    manager.release(6);
+    manager.release(7);
+
+    expect(manager.nextNonce).toBe(6);
+    expect(manager.released).toEqual([]);
+    expect(await manager.reserve()).toBe(6);
+  });
+
+  test('folds every released nonce below the top in one release', async () => {
+    const manager = createManager(5);
+    for (let i = 0; i < 4; i++) await manager.reserve();
+
+    manager.release(6);
+    manager.release(5);
+    manager.release(8);
+
+    expect(manager.released).toEqual([5, 6]);
+    manager.release(7);
+
+    expect(manager.nextNonce).toBe(5);
+    expect(manager.released).toEqual([]);
+  });
+
+  test('ignores nonces that were never reserved', async () => {
+    const manager = createManager(5);
+    manager.release(3);
+    expect(manager.nextNonce).toBeNull();
+
+    await manager.reserve();
+    manager.release(9);
+
+    expect(manager.nextNonce).toBe(6);
+    expect(manager.released).toEqual([]);
+  });
+
+  test('shares the first fetch between concurrent reservations', async () => {
+    const manager = createManager(5);
+
+    expect(await Promise.all([manager.reserve(), manager.reserve(), manager.reserve()])).toEqual([5, 6, 7]);
+    expect(manager.provider.getTransactionCount).toHaveBeenCalledTimes(1);
+  });
+
+  test('fetches again once a resync has finished', async () => {
+    const manager = createManager(5);
+    await manager.resync();
+    manager.provider.getTransactionCount.mockResolvedValue(9);
+
+    expect(await manager.resync()).toBe(9);
+    expect(manager.provider.getTransactionCount).toHaveBeenCalledTimes(2);
+  });
+
+  test('detects nonce errors from codes and messages', () => {
+    expect(NonceManager.isNonceError({ code: 'NONCE_EXPIRED' })).toBe(true);
+    expect(NonceManager.isNonceError(new Error('nonce too low: next nonce 7'))).toBe(true);
+    expect(NonceManager.isNonceError(new Error('insufficient funds'))).toBe(false);
+    expect(NonceManager.isNonceError(null)).toBe(false);
+  });
+
+  test('treats only answers from the node as rejections', () => {
+    expect(NonceManager.isRejectedError({ code: 'INSUFFICIENT_FUNDS' })).toBe(true);
+    expect(NonceManager.isRejectedError({ code: 'CALL_EXCEPTION', action: 'estimateGas' })).toBe(true);
+    expect(NonceManager.isRejectedError({ code: 'UNKNOWN_ERROR', error: { code: -32000, message: 'intrinsic gas too low' } })).toBe(true);
+    expect(NonceManager.isRejectedError({ code: 'UNKNOWN_ERROR', error: { code: -32000, message: 'already known' } })).toBe(false);
+    expect(NonceManager.isRejectedError({ code: 'TIMEOUT' })).toBe(false);
+    expect(NonceManager.isRejectedError(new Error('socket hang up'))).toBe(false);
+    expect(NonceManager.isRejectedError(null)).toBe(false);
+  });
+});
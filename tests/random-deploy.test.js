@@ -0,0 +1,84 @@
+const _ = require('lodash');
+
+jest.mock('../src/utils/logger', () => {
+  const instance = { info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), header: jest.fn() };
+  return { ...instance, getInstance: () => instance, setWalletNum: jest.fn() };
+});
+jest.mock('../src/core/deployments', () => ({ record: jest.fn() }));
+jest.mock('solc', () => ({}));
+
+const Blockchain = require('../src/core/blockchain');
+const RandomContract = require('../src/operations/random-contract');
+const RandomToken = require('../src/operations/random-token');
+
+// Minimal stand-in for the config singleton
+function createConfig(values = {}) {
+  const get = (path, defaultValue) => _.get(values, path, defaultValue);
+  return {
+    get,
+    getNumber: (path, defaultValue = 0) => Number(get(path, defaultValue)),
+    getBoolean: (path, defaultValue = false) => Boolean(get(path, defaultValue))
+  };
+}
+
+// Operation whose compiler and deployer are replaced by mocks, estimates are returned in order
+function createOperation(Operation, name, estimates) {
+  const configObj = createConfig({ operations: { [name]: { max_gas: 2000000 } } });
+  const operation = new Operation(new Blockchain(null, configObj), configObj);
+  const manager = operation.contractManager;
+
+  manager.compileContract = jest.fn().mockResolvedValue({ abi: [] });
+  manager.estimateDeploymentGas = jest.fn();
+  estimates.forEach(estimate => manager.estimateDeploymentGas.mockResolvedValueOnce(estimate));
+  manager.deployContract = jest.fn().mockResolvedValue({ contractAddress: '0x0000000000000000000000000000000000000001', abi: [] });
+  manager.callContractMethod = jest.fn().mockResolvedValue({ success: true });
+  operation.getExplorerUrl = () => 'https://explorer.example';
+
+  return { operation, manager };
+}
+
+describe('random_contract', () => {
+  test('replaces a contract that exceeds max_gas with a smaller one', async () => {
+    const { operation, manager } = createOperation(RandomContract, 'random_contract', [5000000n, 1500000n]);
+
+    expect(await operation.deployRandomContract(1, 1)).toBe(true);
+    expect(manager.compileContract).toHaveBeenCalledTimes(2);
+    expect(manager.deployContract).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up without deploying when no contract fits', async () => {
+    const { operation, manager } = createOperation(RandomContract, 'random_contract', [5000000n, 5000000n, 5000000n]);
+
+    expect(await operation.deployRandomContract(1, 1)).toBe(false);
+    expect(manager.compileContract).toHaveBeenCalledTimes(3);
+    expect(manager.deployContract).not.toHaveBeenCalled();
+  });
+});
+
+describe('random_token', () => {
+  test('deploys a token within max_gas and exercises it', async () => {
+    const { operation, manager } = createOperation(RandomToken, 'random_token', [1500000n]);
+
+    expect(await operation.deployRandomToken(1, 1)).toBe(true);
+    expect(manager.deployContract).toHaveBeenCalledTimes(1);
+    expect(manager.callContractMethod).toHaveBeenCalled();
+  });
+
+  test('replaces a token that exceeds max_gas with one with fewer features', async () => {
+    const { operation, manager } = createOperation(RandomToken, 'random_token', [5000000n, 1500000n]);
+    const pickFeatures = jest.spyOn(operation, 'pickFeatures').mockReturnValueOnce(['mintable', 'burnable', 'pausable']);
+
+    expect(await operation.deployRandomToken(1, 1)).toBe(true);
+    expect(manager.compileContract).toHaveBeenCalledTimes(2);
+    expect(pickFeatures).toHaveBeenLastCalledWith(2);
+    expect(manager.deployContract).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up without deploying when no token fits', async () => {
+    const { operation, manager } = createOperation(RandomToken, 'random_token', [5000000n, 5000000n, 5000000n]);
+
+    expect(await operation.deployRandomToken(1, 1)).toBe(false);
+    expect(manager.compileContract).toHaveBeenCalledTimes(3);
+    expect(manager.deployContract).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+const revert = require('../src/core/revert');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const errorData = message => ethers.concat(['0x08c379a0', coder.encode(['string'], [message])]);
+const panicData = code => ethers.concat(['0x4e487b71', coder.encode(['uint256'], [code])]);
+
+const ABI = ['error InsufficientBalance(address account, uint256 needed)'];
+
+describe('decodeRevertData', () => {
+  test('decodes require and revert messages', () => {
+    expect(revert.decodeRevertData(errorData('Not owner'))).toEqual({ type: 'revert', reason: 'Not owner' });
+  });
+
+  test('decodes panic codes', () => {
+    expect(revert.decodeRevertData(panicData(0x11))).toEqual({
+      type: 'panic',
+      code: 0x11,
+      reason: 'Panic 0x11: Arithmetic overflow or underflow'
+    });
+    expect(revert.decodeRevertData(panicData(0x99)).reason).toBe('Panic 0x99: Unknown panic');
+  });
+
+  test('decodes custom errors declared in the ABI', () => {
+    const account = '0x0000000000000000000000000000000000000001';
+    const data = new ethers.Interface(ABI).encodeErrorResult('InsufficientBalance', [account, 5n]);
+
+    expect(revert.decodeRevertData(data, ABI)).toMatchObject({
+      type: 'custom',
+      name: 'InsufficientBalance',
+      reason: `InsufficientBalance(${account}, 5)`
+    });
+  });
+
+  test('reports unknown selectors and empty data', () => {
+    expect(revert.decodeRevertData('0xdeadbeef', ABI)).toEqual({ type: 'unknown', reason: 'Unknown custom error 0xdeadbeef' });
+    expect(revert.decodeRevertData('0x')).toBeNull();
+  });
+
+  test('falls through on a malformed error payload', () => {
+    expect(revert.decodeRevertData('0x08c379a0ff')).toEqual({ type: 'unknown', reason: 'Unknown custom error 0x08c379a0' });
+  });
+});
+
+describe('findRevertData', () => {
+  test('finds revert data nested by providers', () => {
+    const data = errorData('nested');
+
+    expect(revert.findRevertData({ data })).toBe(data);
+    expect(revert.findRevertData({ error: { data: { data } } })).toBe(data);
+    expect(revert.findRevertData({ info: { error: { data } } })).toBe(data);
+    expect(revert.findRevertData({ message: 'timeout' })).toBeNull();
+  });
+});
+
+describe('decodeError', () => {
+  test('decodes revert errors and ignores other failures', () => {
+    expect(revert.decodeError({ code: 'CALL_EXCEPTION', data: panicData(0x12) }).reason)
+      .toBe('Panic 0x12: Division or modulo by zero');
+    expect(revert.decodeError({ code: 'CALL_EXCEPTION', reason: 'require(false)' }))
+      .toEqual({ type: 'unknown', reason: 'require(false)' });
+    expect(revert.decodeError(new Error('insufficient funds'))).toBeNull();
+  });
+});
+
+describe('decodeReceipt', () => {
+  const tx = { from: '0x01', to: '0x02', data: '0x', value: 0n, gasLimit: 100000n };
+
+  test('replays the call against the parent block', async () => {
+    const provider = { call: jest.fn().mockRejectedValue({ code: 'CALL_EXCEPTION', data: errorData('Paused') }) };
+
+    expect(await revert.decodeReceipt(provider, tx, { blockNumber: 10, gasUsed: 30000n }))
+      .toEqual({ type: 'revert', reason: 'Paused' });
+    expect(provider.call).toHaveBeenCalledWith(expect.objectContaining({ blockTag: 9 }));
+  });
+
+  test('reports out of gas when the replay succeeds and all gas was used', async () => {
+    const provider = { call: jest.fn().mockResolvedValue('0x') };
+
+    expect(await revert.decodeReceipt(provider, tx, { blockNumber: 10, gasUsed: 100000n }))
+      .toEqual({ type: 'out_of_gas', reason: 'Out of gas (used 100000 of 100000)' });
+  });
+});
+
+describe('formatArgs', () => {
+  test('formats big numbers and nested lists', () => {
+    expect(revert.formatArgs([1n, 'a', [2n, true]])).toBe('1, a, [2, true]');
+  });
+});
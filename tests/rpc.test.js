@@ -0,0 +1,118 @@
+const { FailoverProvider, rankEndpoints, getHealth, isFailoverError } = require('../src/core/rpc');
+
+const timeout = () => Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+
+// Provider whose requests are answered by handler(url) instead of the network
+function createProvider(urls, handler, options = {}) {
+  const provider = new FailoverProvider(urls, 2233, { staticNetwork: true, ...options });
+  const requested = [];
+
+  provider.createRequest = url => ({
+    setHeader: () => {},
+    send: async () => {
+      requested.push(url);
+      const result = await handler(url);
+      return { assertOk: () => {}, bodyJson: { jsonrpc: '2.0', id: 1, result } };
+    }
+  });
+
+  return { provider, requested };
+}
+
+const payload = { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('FailoverProvider', () => {
+  test('sends requests to the first healthy endpoint', async () => {
+    const urls = ['https://a.first.example', 'https://b.first.example'];
+    const { provider, requested } = createProvider(urls, () => '0x10');
+
+    expect(await provider._send(payload)).toEqual([{ jsonrpc: '2.0', id: 1, result: '0x10' }]);
+    expect(requested).toEqual(['https://a.first.example']);
+  });
+
+  test('fails over to the next endpoint on transport errors', async () => {
+    const urls = ['https://a.failover.example', 'https://b.failover.example'];
+    const onFailover = jest.fn();
+    const { provider, requested } = createProvider(urls, url => {
+      if (url === urls[0]) throw timeout();
+      return '0x20';
+    }, { onFailover });
+
+    expect(await provider._send(payload)).toEqual([{ jsonrpc: '2.0', id: 1, result: '0x20' }]);
+    expect(requested).toEqual(urls);
+    expect(onFailover).toHaveBeenCalledWith(urls[0], urls[1], expect.objectContaining({ code: 'TIMEOUT' }));
+  });
+
+  test('prefers the endpoint that did not fail on the next request', async () => {
+    const urls = ['https://a.cooldown.example', 'https://b.cooldown.example'];
+    const { provider, requested } = createProvider(urls, url => {
+      if (url === urls[0]) throw timeout();
+      return '0x30';
+    });
+
+    await provider._send(payload);
+    await provider._send(payload);
+
+    expect(requested).toEqual([urls[0], urls[1], urls[1]]);
+    expect(getHealth(urls)[0].failures).toBe(1);
+  });
+
+  test('does not fail over on errors returned by the node', async () => {
+    const urls = ['https://a.rejected.example', 'https://b.rejected.example'];
+    const { provider, requested } = createProvider(urls, () => {
+      throw Object.assign(new Error('bad request'), { code: 'SERVER_ERROR', response: { statusCode: 400 } });
+    });
+
+    await expect(provider._send(payload)).rejects.toThrow('bad request');
+    expect(requested).toEqual([urls[0]]);
+  });
+
+  test('throws the last error when every endpoint fails', async () => {
+    const urls = ['https://a.down.example', 'https://b.down.example'];
+    const { provider, requested } = createProvider(urls, url => {
+      throw Object.assign(new Error(`connect ECONNREFUSED ${url}`), { code: 'ECONNREFUSED' });
+    });
+
+    await expect(provider._send(payload)).rejects.toThrow('ECONNREFUSED https://b.down.example');
+    expect(requested).toEqual(urls);
+  });
+
+  test('applies the configured request timeout', () => {
+    const provider = new FailoverProvider(['https://timeout.example'], 2233, { staticNetwork: true, timeoutSeconds: 7 });
+    expect(provider.createRequest('https://timeout.example').timeout).toBe(7000);
+  });
+});
+
+describe('rankEndpoints', () => {
+  test('orders endpoints by latency, keeping recently failed ones last', async () => {
+    const [slow, fast, broken] = ['https://slow.rank.example', 'https://fast.rank.example', 'https://broken.rank.example'];
+    let clock = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+
+    // Latency is measured around each request
+    await createProvider([slow], () => { clock += 900; return '0x1'; }).provider._send(payload);
+    await createProvider([fast], () => { clock += 100; return '0x1'; }).provider._send(payload);
+    await createProvider([broken, fast], url => {
+      if (url === broken) throw timeout();
+      return '0x1';
+    }).provider._send(payload);
+
+    expect(rankEndpoints([broken, slow, fast])).toEqual([fast, slow, broken]);
+    expect(getHealth([broken])[0]).toMatchObject({ failures: 1, lastFailure: clock });
+  });
+});
+
+describe('isFailoverError', () => {
+  test('detects timeouts, rate limits, server errors and connection failures', () => {
+    expect(isFailoverError({ code: 'TIMEOUT' })).toBe(true);
+    expect(isFailoverError({ code: 'SERVER_ERROR', response: { statusCode: 429 } })).toBe(true);
+    expect(isFailoverError({ code: 'SERVER_ERROR', response: { statusCode: 502 } })).toBe(true);
+    expect(isFailoverError(new Error('getaddrinfo ENOTFOUND rpc.example'))).toBe(true);
+    expect(isFailoverError({ code: 'SERVER_ERROR', response: { statusCode: 400 } })).toBe(false);
+    expect(isFailoverError(new Error('execution reverted'))).toBe(false);
+  });
+});
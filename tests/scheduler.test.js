@@ -0,0 +1,88 @@
+const Scheduler = require('../src/core/scheduler');
+
+// Minimal stand-in for the config singleton, only general.schedule is read
+function createScheduler(schedule = {}) {
+  return new Scheduler({
+    get: (path, defaultValue) => {
+      const key = path.replace('general.schedule.', '');
+      return schedule[key] !== undefined ? schedule[key] : defaultValue;
+    }
+  });
+}
+
+const at = iso => new Date(iso);
+
+describe('Scheduler with an interval', () => {
+  test('adds the interval to the end of the previous cycle', () => {
+    const scheduler = createScheduler({ interval_hours: 8 });
+
+    expect(scheduler.getNextRun(at('2026-10-19T06:15:30Z'))).toEqual(at('2026-10-19T14:15:30Z'));
+    expect(scheduler.describe()).toBe('every 8 hour(s)');
+  });
+
+  test('defaults to 8 hours', () => {
+    expect(createScheduler().getNextRun(at('2026-10-19T00:00:00Z'))).toEqual(at('2026-10-19T08:00:00Z'));
+  });
+
+  test('rejects a non-positive interval', () => {
+    expect(() => createScheduler({ interval_hours: 0 })).toThrow('general.schedule.interval_hours must be a positive number');
+  });
+});
+
+describe('Scheduler with a cron expression', () => {
+  test('runs at the next matching minute, never the current one', () => {
+    const scheduler = createScheduler({ cron: '*/15 * * * *', timezone: 'UTC' });
+
+    expect(scheduler.getNextRun(at('2026-10-19T06:14:59Z'))).toEqual(at('2026-10-19T06:15:00Z'));
+    expect(scheduler.getNextRun(at('2026-10-19T06:15:00Z'))).toEqual(at('2026-10-19T06:30:00Z'));
+  });
+
+  test('skips to the next allowed weekday', () => {
+    const scheduler = createScheduler({ cron: '30 9 * * 1-5', timezone: 'UTC' });
+
+    // Friday after the run, so the next one is on Monday
+    expect(scheduler.getNextRun(at('2026-10-16T10:00:00Z'))).toEqual(at('2026-10-19T09:30:00Z'));
+    expect(scheduler.describe()).toBe('cron "30 9 * * 1-5" (UTC)');
+  });
+
+  test('matches either a restricted day of month or day of week', () => {
+    const scheduler = createScheduler({ cron: '0 0 13 * 5', timezone: 'UTC' });
+
+    // Tuesday the 13th comes before Friday the 16th
+    expect(scheduler.getNextRun(at('2026-10-10T12:00:00Z'))).toEqual(at('2026-10-13T00:00:00Z'));
+    expect(scheduler.getNextRun(at('2026-10-13T00:00:00Z'))).toEqual(at('2026-10-16T00:00:00Z'));
+  });
+
+  test('treats 7 as Sunday', () => {
+    const scheduler = createScheduler({ cron: '0 12 * * 7', timezone: 'UTC' });
+    expect(scheduler.getNextRun(at('2026-10-19T00:00:00Z'))).toEqual(at('2026-10-25T12:00:00Z'));
+  });
+
+  test('evaluates hours in the configured time zone, including half-hour offsets', () => {
+    const scheduler = createScheduler({ cron: '0 * * * *', timezone: 'Asia/Kolkata' });
+
+    // 05:40 in India (UTC+5:30), the next full local hour is 06:00 = 00:30 UTC
+    expect(scheduler.getNextRun(at('2026-01-01T00:10:00Z'))).toEqual(at('2026-01-01T00:30:00Z'));
+  });
+
+  test('follows daylight saving changes', () => {
+    const scheduler = createScheduler({ cron: '0 9 * * *', timezone: 'Europe/Berlin' });
+
+    // 09:00 is 07:00 UTC in summer time and 08:00 UTC after clocks go back on 25 October
+    expect(scheduler.getNextRun(at('2026-10-24T08:00:00Z'))).toEqual(at('2026-10-25T08:00:00Z'));
+    expect(scheduler.getNextRun(at('2026-10-23T06:00:00Z'))).toEqual(at('2026-10-23T07:00:00Z'));
+  });
+
+  test('rejects invalid expressions and time zones', () => {
+    expect(() => createScheduler({ cron: '0 9 * *' })).toThrow('must have 5 fields');
+    expect(() => createScheduler({ cron: '61 * * * *' })).toThrow('Cron minute "61" is out of range 0-59');
+    expect(() => createScheduler({ cron: 'x * * * *' })).toThrow('Invalid cron minute "x"');
+    expect(() => createScheduler({ cron: '0 9 * * *', timezone: 'Mars/Olympus' }))
+      .toThrow('general.schedule.timezone "Mars/Olympus" is not a valid IANA time zone');
+  });
+
+  test('fails for an expression that never matches', () => {
+    const scheduler = createScheduler({ cron: '0 0 31 2 *', timezone: 'UTC' });
+    expect(() => scheduler.getNextRun(at('2026-10-19T00:00:00Z'))).toThrow('Cron expression "0 0 31 2 *" never matches');
+  });
+});
@@ -0,0 +1,96 @@
+const { validate, getSchemaNode, OPERATION_NAMES, ConfigError } = require('../src/core/schema');
+
+describe('validate', () => {
+  test('accepts an empty or partial config', () => {
+    expect(validate({})).toEqual([]);
+    expect(validate({
+      operations: { nft: { enabled: false, supply: { min: 10, max: 20 } } },
+      general: { concurrency: 2, fee_mode: 'eip1559' }
+    })).toEqual([]);
+  });
+
+  test('suggests the key a typo meant', () => {
+    expect(validate({ operations: { transfer: { percentag: 50 } } })).toEqual([
+      'operations.transfer.percentag: unknown key, did you mean "percentage"?'
+    ]);
+  });
+
+  test('lists the known keys when nothing is close', () => {
+    const [problem] = validate({ rpc: { completely_unrelated: true } });
+    expect(problem).toBe('rpc.completely_unrelated: unknown key, expected one of timeout_seconds, batch_size, quorum');
+  });
+
+  test('suggests the enum value a typo meant', () => {
+    expect(validate({ general: { fee_mode: 'eip1599' } })).toEqual([
+      'general.fee_mode: must be one of legacy, eip1559, auto, got "eip1599" (did you mean "eip1559"?)'
+    ]);
+  });
+
+  test('reports type and bound errors', () => {
+    expect(validate({
+      general: { concurrency: 'x', max_retries: 1.5, gas_price_multiplier: 0 },
+      proxy: { enabled: 'yes' }
+    })).toEqual([
+      'general.concurrency: expected a number, got string "x"',
+      'general.max_retries: expected a whole number, got 1.5',
+      'general.gas_price_multiplier: must be greater than 0, got 0',
+      'proxy.enabled: expected true or false, got string "yes"'
+    ]);
+  });
+
+  test('rejects ranges whose min exceeds max', () => {
+    expect(validate({ operations: { nft: { supply: { min: 50, max: 10 } } } })).toEqual([
+      'operations.nft.supply.min: must not be greater than max (50 > 10)'
+    ]);
+  });
+
+  test('checks list items and operation names', () => {
+    expect(validate({ randomization: { operations_to_run: ['erc20', 'ntf'] } })).toEqual([
+      `randomization.operations_to_run[1]: must be one of ${OPERATION_NAMES.join(', ')}, got "ntf" (did you mean "nft"?)`
+    ]);
+  });
+
+  test('validates networks of any name and accepts a single RPC URL', () => {
+    expect(validate({ networks: { custom: { chain_id: 1, rpc_urls: 'https://rpc.example' } } })).toEqual([]);
+    expect(validate({ networks: { custom: { chain_id: 0, rpc_urls: [] } } })).toEqual([
+      'networks.custom.chain_id: must be at least 1, got 0',
+      'networks.custom.rpc_urls: must contain at least 1 item(s)'
+    ]);
+  });
+
+  test('checks string patterns', () => {
+    expect(validate({ mnemonic: { path: "m/44'/60'/0'/0/0" } })).toEqual([
+      'mnemonic.path: must be a derivation path containing {index}, got "m/44\'/60\'/0\'/0/0"'
+    ]);
+  });
+
+  test('prefixes paths and reports a non-object root', () => {
+    expect(validate({ general: { concurrency: 0 } }, '3.config')).toEqual([
+      '3.config.general.concurrency: must be at least 1, got 0'
+    ]);
+    expect(validate([])).toEqual(['(root): expected an object, got an array']);
+  });
+});
+
+describe('getSchemaNode', () => {
+  test('finds nodes by path', () => {
+    expect(getSchemaNode('operations.nft.supply.min')).toMatchObject({ type: 'integer', min: 1 });
+    expect(getSchemaNode('networks.anything.chain_id')).toMatchObject({ type: 'integer' });
+    expect(getSchemaNode('networks.anything.rpc_urls')).toMatchObject({ type: 'array' });
+  });
+
+  test('returns null for unknown paths', () => {
+    expect(getSchemaNode('general.nope')).toBeNull();
+    expect(getSchemaNode('general.concurrency.deeper')).toBeNull();
+  });
+});
+
+describe('ConfigError', () => {
+  test('counts the problems in its message', () => {
+    expect(new ConfigError('config.json', ['a']).message).toBe('config.json is invalid (1 problem), refusing to start');
+
+    const error = new ConfigError('config.json', ['a', 'b']);
+    expect(error.message).toBe('config.json is invalid (2 problems), refusing to start');
+    expect(error.problems).toEqual(['a', 'b']);
+  });
+});
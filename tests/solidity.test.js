@@ -0,0 +1,53 @@
+const { assembleContract, toIdentifier } = require('../src/core/solidity');
+
+describe('toIdentifier', () => {
+  test('strips characters that are not allowed in identifiers', () => {
+    expect(toIdentifier('Quantum Ledger')).toBe('QuantumLedger');
+    expect(toIdentifier('Mega-Coin!')).toBe('MegaCoin');
+  });
+
+  test('prefixes names that would start with a digit', () => {
+    expect(toIdentifier('42 Token')).toBe('C42Token');
+  });
+});
+
+describe('assembleContract', () => {
+  test('merges fragments section by section in fragment order', () => {
+    const source = assembleContract('Sample', [
+      { state: ['address public owner;'], constructor: ['owner = msg.sender;'] },
+      {
+        state: ['uint256 public counter;'],
+        events: ['event Counted(uint256 value);'],
+        functions: ['function count() public {\n    counter += 1;\n}']
+      }
+    ]);
+
+    expect(source).toBe([
+      '// SPDX-License-Identifier: MIT',
+      'pragma solidity >=0.8.0 <0.9.0;',
+      '',
+      'contract Sample {',
+      '    address public owner;',
+      '    uint256 public counter;',
+      '',
+      '    event Counted(uint256 value);',
+      '',
+      '    constructor() {',
+      '        owner = msg.sender;',
+      '    }',
+      '',
+      '    function count() public {',
+      '        counter += 1;',
+      '    }',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  test('skips empty sections and never picks up inherited properties', () => {
+    const source = assembleContract('Empty', [{ functions: ['function noop() public {}'] }]);
+
+    expect(source).not.toContain('constructor');
+    expect(source).toContain('contract Empty {\n    function noop() public {}\n}');
+  });
+});
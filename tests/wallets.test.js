@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadWalletOverrides, resolveWalletOverrides } = require('../src/core/wallets');
+
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallets-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeOverrides(content) {
+  const file = path.join(dir, 'wallets.json');
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+describe('loadWalletOverrides', () => {
+  test('returns no overrides when the file does not exist', async () => {
+    expect(await loadWalletOverrides(path.join(dir, 'missing.json'))).toEqual({});
+  });
+
+  test('keys address entries by lowercase address', async () => {
+    const file = writeOverrides({ [ADDRESS]: { label: 'main' }, 2: { config: { general: { concurrency: 1 } } } });
+
+    expect(await loadWalletOverrides(file)).toEqual({
+      [ADDRESS.toLowerCase()]: { label: 'main' },
+      2: { config: { general: { concurrency: 1 } } }
+    });
+  });
+
+  test('rejects keys and entries it cannot apply', async () => {
+    await expect(loadWalletOverrides(writeOverrides([]))).rejects.toThrow('must contain an object');
+    await expect(loadWalletOverrides(writeOverrides({ main: {} }))).rejects.toThrow('"main" is neither an address nor an index');
+    await expect(loadWalletOverrides(writeOverrides({ 1: 'main' }))).rejects.toThrow('entry "1" must be an object');
+    await expect(loadWalletOverrides(writeOverrides({ 1: { label: 5 } }))).rejects.toThrow('label of "1" must be a string');
+  });
+});
+
+describe('resolveWalletOverrides', () => {
+  const overrides = {
+    1: { label: 'first', config: { operations: { erc20: { enabled: false }, nft: { mint_range: [1, 2] } } } },
+    3: { label: 'derived' },
+    [ADDRESS.toLowerCase()]: { label: 'main', config: { operations: { nft: { mint_range: [5] } } } }
+  };
+
+  test('returns nothing for wallets without overrides', () => {
+    expect(resolveWalletOverrides(overrides, { address: '0x0000000000000000000000000000000000000001' }, 2)).toEqual({ label: null, config: null });
+  });
+
+  test('lets address entries win over index entries', () => {
+    expect(resolveWalletOverrides(overrides, { address: ADDRESS }, 1)).toEqual({
+      label: 'main',
+      config: { operations: { erc20: { enabled: false }, nft: { mint_range: [5] } } }
+    });
+  });
+
+  test('matches mnemonic wallets by derivation index instead of position', () => {
+    const entry = { address: '0x0000000000000000000000000000000000000001', derivationIndex: 3 };
+
+    expect(resolveWalletOverrides(overrides, entry, 1).label).toBe('derived');
+  });
+});